@@ -6,15 +6,18 @@
 
 import * as bluetooth from './bluetooth.js';
 import * as printer from './printer.js';
+import * as fontStore from './font-store.js';
 import { printTest } from './printer.js';
-import { zplRenderer } from './zpl-renderer.js';
+import { RenderClient } from './render-client.js';
 import {
     mmToPixels,
+    pixelsToMm,
     validateLabelSize,
-    toMonochromeBitmap,
     debounce,
     isWebBluetoothSupported,
-    MAX_WIDTH_PX
+    MAX_WIDTH_PX,
+    MIN_WIDTH_MM,
+    MAX_WIDTH_MM
 } from './utils.js';
 
 // ===========================================
@@ -33,21 +36,42 @@ const elements = {
     heightInput: document.getElementById('heightInput'),
     customSizeInputs: document.getElementById('customSizeInputs'),
     sizeInfo: document.getElementById('sizeInfo'),
+    sizeSuggestion: document.getElementById('sizeSuggestion'),
+    sizeSuggestionText: document.getElementById('sizeSuggestionText'),
+    applySizeBtn: document.getElementById('applySizeBtn'),
     
     // ZPL
     zplInput: document.getElementById('zplInput'),
     clearZplBtn: document.getElementById('clearZplBtn'),
     pasteZplBtn: document.getElementById('pasteZplBtn'),
     
+    // Variable fields
+    fieldsSection: document.getElementById('fieldsSection'),
+    fieldsList: document.getElementById('fieldsList'),
+    
+    // Fonts
+    fontsList: document.getElementById('fontsList'),
+    fontFileInput: document.getElementById('fontFileInput'),
+    
     // Preview
     previewContainer: document.getElementById('previewContainer'),
     previewPlaceholder: document.getElementById('previewPlaceholder'),
     previewCanvas: document.getElementById('previewCanvas'),
     previewError: document.getElementById('previewError'),
+    diagnosticsList: document.getElementById('diagnosticsList'),
+    labelControls: document.getElementById('labelControls'),
+    labelPrevBtn: document.getElementById('labelPrevBtn'),
+    labelNextBtn: document.getElementById('labelNextBtn'),
+    labelInfo: document.getElementById('labelInfo'),
+    serialControls: document.getElementById('serialControls'),
+    serialPrevBtn: document.getElementById('serialPrevBtn'),
+    serialNextBtn: document.getElementById('serialNextBtn'),
+    serialInfo: document.getElementById('serialInfo'),
     
     // Print
     copiesInput: document.getElementById('copiesInput'),
     printBtn: document.getElementById('printBtn'),
+    printBtnText: document.getElementById('printBtnText'),
     printStatus: document.getElementById('printStatus'),
     
     // Toast
@@ -65,9 +89,29 @@ const state = {
     labelHeight: 30,
     zpl: '',
     currentBitmap: null,
-    isPrinting: false
+    isPrinting: false,
+    resumePrint: null,      // Continues a print job paused by ^PQ
+    suggestedSize: null,    // Label size (mm) declared by ^PW/^LL, if different
+    formats: new Map(),     // Stored formats (^DF) for this session
+    graphics: new Map(),    // Downloaded graphics (~DG/~DY) for this session
+    fieldValues: {},        // ^FN values entered by the user
+    fieldsSignature: '',
+    serialized: false,      // Label has ^SN/^SF fields
+    previewCopy: 0,         // Copy shown in the preview (0-based)
+    zplQuantity: null,      // ^PQ quantity last copied into the copies input
+    labelCount: 1,          // Labels (^XA...^XZ formats) in the ZPL
+    previewLabel: 0,        // Label shown in the preview (0-based)
+    fontsReady: Promise.resolve()   // Settles when the stored fonts are registered
 };
 
+// Renders run in workers; printing has its own, so editing does not cancel a print
+// job (which renders from a copy of the ZPL taken when it starts, see createPrintJob)
+const previewRenderer = new RenderClient();
+const printRenderer = new RenderClient();
+
+// Serialized labels can be stepped through at least this many copies in the preview
+const PREVIEW_COPY_STEPS = 10;
+
 // Label presets (mm)
 const PRESETS = {
     '40x30': { width: 40, height: 30 },
@@ -91,6 +135,9 @@ function init() {
     // Set up event listeners
     setupEventListeners();
     
+    // Register fonts saved in earlier sessions before the first preview
+    state.fontsReady = loadStoredFonts();
+    
     // Initialize UI
     updateSizeInfo();
     updatePrintButton();
@@ -111,13 +158,26 @@ function setupEventListeners() {
     elements.presetSelect.addEventListener('change', handlePresetChange);
     elements.widthInput.addEventListener('input', handleSizeInputChange);
     elements.heightInput.addEventListener('input', handleSizeInputChange);
+    elements.applySizeBtn.addEventListener('click', applySuggestedSize);
     
     // ZPL input with debounced preview
     elements.zplInput.addEventListener('input', debounce(handleZplInput, 300));
     elements.clearZplBtn.addEventListener('click', handleClearZpl);
     elements.pasteZplBtn.addEventListener('click', handlePasteZpl);
     
+    // Fonts
+    elements.fontFileInput.addEventListener('change', handleFontFiles);
+    
+    // Label paging
+    elements.labelPrevBtn.addEventListener('click', () => stepPreviewLabel(-1));
+    elements.labelNextBtn.addEventListener('click', () => stepPreviewLabel(1));
+    
+    // Serial preview stepping
+    elements.serialPrevBtn.addEventListener('click', () => stepPreviewCopy(-1));
+    elements.serialNextBtn.addEventListener('click', () => stepPreviewCopy(1));
+    
     // Print
+    elements.copiesInput.addEventListener('input', updateSerialControls);
     elements.printBtn.addEventListener('click', handlePrint);
     
     // Toast
@@ -159,6 +219,11 @@ function handleDisconnected() {
     elements.connectionStatus.classList.remove('connected');
     elements.connectionStatus.querySelector('.status-text').textContent = 'Disconnected';
     elements.connectBtnText.textContent = 'Connect Printer';
+    
+    // A paused job ends with a "not connected" error instead of waiting forever
+    if (state.resumePrint) {
+        resumePrint();
+    }
     updatePrintButton();
 }
 
@@ -211,6 +276,62 @@ function updateSizeInfo() {
     }
 }
 
+/**
+ * Compare the label size declared in the ZPL (^PW/^LL) with the selected size
+ * @param {{ width: number|null, height: number|null }} labelSize - Declared size in dots
+ */
+function updateSizeSuggestion(labelSize) {
+    const currentWidth = mmToPixels(state.labelWidth);
+    const currentHeight = mmToPixels(state.labelHeight);
+    const width = labelSize.width || currentWidth;
+    const height = labelSize.height || currentHeight;
+    const tooWide = width > MAX_WIDTH_PX;
+    
+    // Offer the closest size the printer supports, in 0.1 mm steps
+    const roundMm = (mm) => Math.round(mm * 10) / 10;
+    const suggested = {
+        width: roundMm(Math.min(MAX_WIDTH_MM, Math.max(MIN_WIDTH_MM, pixelsToMm(width)))),
+        height: roundMm(pixelsToMm(height))
+    };
+    const canSwitch = mmToPixels(suggested.width) !== currentWidth || mmToPixels(suggested.height) !== currentHeight;
+    state.suggestedSize = canSwitch ? suggested : null;
+    
+    if (tooWide) {
+        elements.sizeSuggestionText.textContent =
+            `The ZPL is ${width} dots wide (^PW), but the printer prints at most ${MAX_WIDTH_PX} dots (${MAX_WIDTH_MM} mm). ` +
+            'Anything beyond that is cut off.';
+    } else {
+        elements.sizeSuggestionText.textContent =
+            `The ZPL is for a ${suggested.width} × ${suggested.height} mm label (${width} × ${height} px).`;
+    }
+    elements.applySizeBtn.textContent = `Use ${suggested.width} × ${suggested.height} mm`;
+    elements.applySizeBtn.style.display = canSwitch ? '' : 'none';
+    elements.sizeSuggestion.classList.toggle('warning', tooWide);
+    elements.sizeSuggestion.classList.toggle('visible', canSwitch || tooWide);
+}
+
+function hideSizeSuggestion() {
+    state.suggestedSize = null;
+    elements.sizeSuggestion.classList.remove('visible');
+}
+
+function applySuggestedSize() {
+    if (!state.suggestedSize) return;
+    const { width, height } = state.suggestedSize;
+    
+    const preset = Object.keys(PRESETS).find(key =>
+        PRESETS[key].width === width && PRESETS[key].height === height);
+    elements.presetSelect.value = preset || 'custom';
+    elements.customSizeInputs.style.display = preset ? 'none' : 'flex';
+    elements.widthInput.value = width;
+    elements.heightInput.value = height;
+    state.labelWidth = width;
+    state.labelHeight = height;
+    
+    updateSizeInfo();
+    renderPreview();
+}
+
 // ===========================================
 // ZPL Handlers
 // ===========================================
@@ -224,7 +345,12 @@ function handleClearZpl() {
     elements.zplInput.value = '';
     state.zpl = '';
     state.currentBitmap = null;
+    state.labelCount = 1;
+    state.previewLabel = 0;
     hidePreview();
+    hideSizeSuggestion();
+    updateVariableFields([]);
+    updateLabelControls();
     updatePrintButton();
 }
 
@@ -243,14 +369,24 @@ async function handlePasteZpl() {
 // Preview Rendering
 // ===========================================
 
-function renderPreview() {
+async function renderPreview() {
+    // Text in loaded fonts would otherwise render in a fallback font
+    await state.fontsReady;
+    
     const zpl = state.zpl.trim();
     
     // Hide previous errors
     hidePreviewError();
     
     if (!zpl) {
+        previewRenderer.cancel();
+        state.labelCount = 1;
+        state.previewLabel = 0;
         hidePreview();
+        updateDiagnostics([]);
+        hideSizeSuggestion();
+        updateVariableFields([]);
+        updateLabelControls();
         state.currentBitmap = null;
         updatePrintButton();
         return;
@@ -259,48 +395,119 @@ function renderPreview() {
     // Validate label size
     const validation = validateLabelSize(state.labelWidth, state.labelHeight);
     if (!validation.valid) {
+        previewRenderer.cancel();
         showPreviewError(validation.error);
+        updateDiagnostics([]);
         state.currentBitmap = null;
         updatePrintButton();
         return;
     }
     
     try {
-        // Render ZPL to canvas
-        const { canvas, errors } = zplRenderer.render(zpl, validation.widthPx, validation.heightPx);
+        // Render ZPL in the worker; a newer edit cancels this render
+        const input = renderInput(validation.widthPx, validation.heightPx);
+        const { image, bitmap, diagnostics, fields, serialized, labelSize, quantity, labelCount } =
+            await renderLabel(previewRenderer, input, state.previewCopy);
+        
+        // Stored formats and graphics come back from the worker as copies
+        state.formats = input.formats;
+        state.graphics = input.graphics;
         
-        if (errors.length > 0) {
-            console.warn('ZPL render warnings:', errors);
+        // The edit removed the label being previewed
+        state.labelCount = labelCount;
+        if (state.previewLabel >= labelCount) {
+            state.previewLabel = labelCount - 1;
+            return renderPreview();
         }
         
-        // Get image data and convert to monochrome
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        state.currentBitmap = {
-            data: toMonochromeBitmap(imageData, true),
-            width: canvas.width,
-            height: canvas.height
-        };
+        updateDiagnostics(diagnostics);
+        updateLabelControls();
+        updateSizeSuggestion(labelSize);
+        updateVariableFields(fields);
+        updateQuantity(quantity);
+        state.serialized = serialized;
+        updateSerialControls();
         
-        // Show preview (display the rendered canvas, not the 1-bit version for better viewing)
-        showPreview(canvas);
+        state.currentBitmap = bitmap;
+        
+        // Show preview (display the rendered image, not the 1-bit version for better viewing)
+        showPreview(image);
         updatePrintButton();
         
     } catch (error) {
+        if (error.name === 'AbortError') return;
         console.error('ZPL render error:', error);
         showPreviewError(`Render failed: ${error.message}`);
+        updateDiagnostics([]);
         state.currentBitmap = null;
         updatePrintButton();
     }
 }
 
-function showPreview(canvas) {
+/**
+ * Get what a render of the current ZPL takes
+ * The stores and field values are the live ones; see createPrintJob for a copy.
+ * @param {number} widthPx - Label width in pixels
+ * @param {number} heightPx - Label height in pixels
+ * @returns {{ zpl: string, width: number, height: number, formats: Map, graphics: Map, fieldValues: Object, fonts: Map, fontFiles: Map }}
+ */
+function renderInput(widthPx, heightPx) {
+    return {
+        zpl: state.zpl,
+        width: widthPx,
+        height: heightPx,
+        formats: state.formats,
+        graphics: state.graphics,
+        fieldValues: state.fieldValues,
+        fonts: fontStore.getFontFamilies(),
+        fontFiles: fontStore.getFontFiles()
+    };
+}
+
+/**
+ * Render one copy of a label
+ * The input's formats and graphics are replaced by the stores as the label
+ * left them.
+ * @param {RenderClient} client - previewRenderer or printRenderer
+ * @param {Object} input - See renderInput
+ * @param {number} copy - Copy index for serialized fields (0-based)
+ * @param {number} [label] - Label index (0-based), the previewed label by default
+ * @returns {Promise<{ image: ImageBitmap|HTMLCanvasElement, bitmap: { data: Uint8Array, width: number, height: number }, diagnostics: Array, fields: Array, serialized: boolean, labelSize: { width: number|null, height: number|null }, labelCount: number }>}
+ */
+async function renderLabel(client, input, copy, label = state.previewLabel) {
+    // Untrimmed, so diagnostic positions match the editor
+    const result = await client.render({
+        zpl: input.zpl,
+        width: input.width,
+        height: input.height,
+        options: {
+            formats: input.formats,
+            graphics: input.graphics,
+            fieldValues: input.fieldValues,
+            fonts: input.fonts,
+            copy,
+            label
+        }
+    }, input.fontFiles);
+    
+    input.formats = result.formats;
+    input.graphics = result.graphics;
+    
+    return result;
+}
+
+function showPreview(image) {
     // Copy rendered content to preview canvas
-    elements.previewCanvas.width = canvas.width;
-    elements.previewCanvas.height = canvas.height;
+    elements.previewCanvas.width = image.width;
+    elements.previewCanvas.height = image.height;
     
     const ctx = elements.previewCanvas.getContext('2d');
-    ctx.drawImage(canvas, 0, 0);
+    ctx.drawImage(image, 0, 0);
+    
+    // An ImageBitmap from the worker is not needed once drawn
+    if (typeof image.close === 'function') {
+        image.close();
+    }
     
     elements.previewPlaceholder.classList.add('hidden');
     elements.previewCanvas.classList.add('visible');
@@ -321,20 +528,238 @@ function hidePreviewError() {
     elements.previewError.textContent = '';
 }
 
+// ===========================================
+// Render Diagnostics
+// ===========================================
+
+function updateDiagnostics(diagnostics) {
+    elements.diagnosticsList.replaceChildren(...diagnostics.map(createDiagnosticItem));
+    elements.diagnosticsList.classList.toggle('visible', diagnostics.length > 0);
+}
+
+function createDiagnosticItem(diagnostic) {
+    const item = document.createElement('li');
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `diagnostic diagnostic-${diagnostic.severity}`;
+    button.disabled = diagnostic.offset === null;
+    button.addEventListener('click', () => selectSource(diagnostic));
+    
+    const position = document.createElement('span');
+    position.className = 'diagnostic-position';
+    position.textContent = diagnostic.line !== null
+        ? `Line ${diagnostic.line}:${diagnostic.column} ${diagnostic.command}`
+        : diagnostic.command;
+    
+    const message = document.createElement('span');
+    message.className = 'diagnostic-message';
+    message.textContent = diagnostic.message;
+    
+    button.append(position, message);
+    item.append(button);
+    return item;
+}
+
+/**
+ * Select the command a diagnostic is about in the ZPL editor
+ */
+function selectSource(diagnostic) {
+    const input = elements.zplInput;
+    input.focus();
+    input.setSelectionRange(diagnostic.offset, diagnostic.offset + diagnostic.length);
+    
+    // Browsers do not scroll a textarea to a selection made from script
+    const lineHeight = parseFloat(getComputedStyle(input).lineHeight) || 20;
+    input.scrollTop = Math.max(0, (diagnostic.line - 1) * lineHeight - input.clientHeight / 2);
+}
+
+// ===========================================
+// Multiple Labels (^XA...^XZ)
+// ===========================================
+
+function updateLabelControls() {
+    elements.labelControls.classList.toggle('visible', state.labelCount > 1);
+    elements.labelInfo.textContent = `Label ${state.previewLabel + 1} of ${state.labelCount}`;
+    elements.labelPrevBtn.disabled = state.previewLabel === 0;
+    elements.labelNextBtn.disabled = state.previewLabel >= state.labelCount - 1;
+}
+
+function stepPreviewLabel(delta) {
+    state.previewLabel = Math.min(state.labelCount - 1, Math.max(0, state.previewLabel + delta));
+    state.previewCopy = 0;
+    renderPreview();
+}
+
+// ===========================================
+// Copies (^PQ / ^SN / ^SF)
+// ===========================================
+
+function getCopies() {
+    return Math.max(1, parseInt(elements.copiesInput.value) || 1);
+}
+
+/**
+ * Default the copies to the ^PQ quantity whenever the ZPL declares a new one
+ * The copies apply to the previewed label; the others print their own ^PQ.
+ * @param {{ total: number }|null} quantity - ^PQ setting of the previewed label
+ */
+function updateQuantity(quantity) {
+    const total = quantity ? quantity.total : null;
+    if (total !== null && total !== state.zplQuantity) {
+        elements.copiesInput.value = total;
+    }
+    state.zplQuantity = total;
+}
+
+function updateSerialControls() {
+    const lastCopy = Math.max(getCopies(), PREVIEW_COPY_STEPS) - 1;
+    if (state.previewCopy > lastCopy) {
+        state.previewCopy = lastCopy;
+        renderPreview();
+        return;
+    }
+    
+    elements.serialControls.classList.toggle('visible', state.serialized);
+    elements.serialInfo.textContent = `Copy ${state.previewCopy + 1}`;
+    elements.serialPrevBtn.disabled = state.previewCopy === 0;
+    elements.serialNextBtn.disabled = state.previewCopy >= lastCopy;
+}
+
+function stepPreviewCopy(delta) {
+    state.previewCopy = Math.max(0, state.previewCopy + delta);
+    renderPreview();
+}
+
+// ===========================================
+// Variable Fields (^FN)
+// ===========================================
+
+function updateVariableFields(fields) {
+    // Only rebuild the inputs when the set of fields changes, so typing keeps focus
+    const signature = fields.map(field => `${field.number}:${field.prompt}`).join('|');
+    if (signature !== state.fieldsSignature) {
+        state.fieldsSignature = signature;
+        elements.fieldsList.replaceChildren(...fields.map(createFieldInput));
+    }
+    
+    // Show the data from the ZPL as placeholder
+    for (const field of fields) {
+        const input = elements.fieldsList.querySelector(`[data-field="${field.number}"]`);
+        input.placeholder = field.value;
+    }
+    
+    elements.fieldsSection.classList.toggle('visible', fields.length > 0);
+}
+
+function createFieldInput(field) {
+    const group = document.createElement('div');
+    group.className = 'field-input';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = `fieldInput${field.number}`;
+    input.className = 'input';
+    input.dataset.field = field.number;
+    input.value = state.fieldValues[field.number] || '';
+    input.addEventListener('input', debounce(() => {
+        state.fieldValues[field.number] = input.value;
+        renderPreview();
+    }, 300));
+    
+    const label = document.createElement('label');
+    label.htmlFor = input.id;
+    label.textContent = field.prompt ? `${field.prompt} (^FN${field.number})` : `^FN${field.number}`;
+    
+    group.append(label, input);
+    return group;
+}
+
+// ===========================================
+// Custom Fonts (^A@ / ^CW)
+// ===========================================
+
+async function loadStoredFonts() {
+    try {
+        await fontStore.loadStoredFonts();
+    } catch (error) {
+        console.warn('Stored fonts could not be loaded:', error);
+    }
+    updateFontList();
+}
+
+async function handleFontFiles() {
+    const files = [...elements.fontFileInput.files];
+    elements.fontFileInput.value = '';
+    
+    const loaded = [];
+    for (const file of files) {
+        try {
+            loaded.push(await fontStore.addFontFile(file));
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    }
+    
+    if (loaded.length > 0) {
+        showToast(`Loaded ${loaded.join(', ')}`, 'success');
+        updateFontList();
+        renderPreview();
+    }
+}
+
+async function handleRemoveFont(name) {
+    try {
+        await fontStore.removeFont(name);
+    } catch (error) {
+        showToast(`Could not remove ${name}: ${error.message}`, 'error');
+    }
+    updateFontList();
+    renderPreview();
+}
+
+function updateFontList() {
+    const families = fontStore.getFontFamilies();
+    elements.fontsList.replaceChildren(...fontStore.getFontNames().map(name => {
+        const item = document.createElement('div');
+        item.className = 'font-item';
+        
+        const label = document.createElement('span');
+        label.className = 'font-item-name';
+        label.textContent = `E:${name}`;
+        label.style.fontFamily = `"${families.get(name)}"`;
+        
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'btn btn--ghost btn--small';
+        removeBtn.title = `Remove ${name}`;
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => handleRemoveFont(name));
+        
+        item.append(label, removeBtn);
+        return item;
+    }));
+}
+
 // ===========================================
 // Print Handlers
 // ===========================================
 
 function updatePrintButton() {
+    // A paused job continues from its own bitmaps, whatever the preview shows
     const canPrint = bluetooth.getConnectionStatus() && 
-                     state.currentBitmap !== null && 
-                     !state.isPrinting;
+                     (state.resumePrint !== null || 
+                      (!state.isPrinting && state.currentBitmap !== null));
     elements.printBtn.disabled = !canPrint;
 }
 
 async function handlePrint() {
     console.log('[APP] Print button clicked');
     
+    if (state.resumePrint) {
+        resumePrint();
+        return;
+    }
+    
     if (!state.currentBitmap) {
         console.warn('[APP] No bitmap to print');
         showToast('Nothing to print. Enter ZPL code first.', 'error');
@@ -347,21 +772,29 @@ async function handlePrint() {
         return;
     }
     
-    const copies = Math.max(1, parseInt(elements.copiesInput.value) || 1);
-    console.log(`[APP] Starting print: ${copies} copy/copies, size: ${state.currentBitmap.width}x${state.currentBitmap.height}px`);
+    // Edits made while the job prints must not change the labels still to come
+    const job = createPrintJob(state.currentBitmap.width, state.currentBitmap.height);
     
     state.isPrinting = true;
     updatePrintButton();
     elements.printBtn.classList.add('printing');
     
     try {
-        if (copies === 1) {
+        updatePrintStatus('Preparing...', 'printing');
+        const labels = await planPrintJob(job, getCopies());
+        const total = labels.reduce((sum, { copies }) => sum + copies, 0);
+        console.log(`[APP] Starting print: ${labels.length} label(s), ${total} in all, size: ${job.width}x${job.height}px`);
+        
+        if (total === 1) {
             updatePrintStatus('Printing...', 'printing');
             
+            // A run always starts at the first serial, whichever copy is previewed
+            const { bitmap } = labels[0];
+            
             await printer.printBitmap(
-                state.currentBitmap.data,
-                state.currentBitmap.width,
-                state.currentBitmap.height,
+                bitmap.data,
+                bitmap.width,
+                bitmap.height,
                 (progress) => {
                     const percent = Math.round(progress * 100);
                     updatePrintStatus(`Printing... ${percent}%`, 'printing');
@@ -371,19 +804,16 @@ async function handlePrint() {
             updatePrintStatus('Done!', 'success');
             showToast('Label printed successfully!', 'success');
         } else {
-            await printer.printMultiple(
-                state.currentBitmap.data,
-                state.currentBitmap.width,
-                state.currentBitmap.height,
-                copies,
-                (current, total, progress) => {
-                    const percent = Math.round(progress * 100);
-                    updatePrintStatus(`Printing ${current}/${total}... ${percent}%`, 'printing');
-                }
-            );
+            const onProgress = (current, total, progress) => {
+                const percent = Math.round(progress * 100);
+                updatePrintStatus(`Printing ${current}/${total}... ${percent}%`, 'printing');
+            };
+            
+            // Every label in order, each with its copies, as one job
+            await printer.printSeries(i => getJobBitmap(job, labels, i), total, onProgress);
             
-            updatePrintStatus(`Done! (${copies} copies)`, 'success');
-            showToast(`${copies} labels printed successfully!`, 'success');
+            updatePrintStatus(`Done! (${total} labels)`, 'success');
+            showToast(`${total} labels printed successfully!`, 'success');
         }
         
     } catch (error) {
@@ -409,6 +839,102 @@ async function handlePrint() {
     }
 }
 
+/**
+ * Take a copy of what the labels of a print job are rendered from
+ * The ZPL, field values, stored formats and graphics, fonts and label size
+ * are those of the moment printing starts.
+ * @param {number} widthPx - Label width in pixels
+ * @param {number} heightPx - Label height in pixels
+ * @returns {Object} See renderInput, plus label: the previewed label
+ */
+function createPrintJob(widthPx, heightPx) {
+    const input = renderInput(widthPx, heightPx);
+    return {
+        ...input,
+        formats: new Map(input.formats),
+        graphics: new Map(input.graphics),
+        fieldValues: { ...input.fieldValues },
+        label: state.previewLabel
+    };
+}
+
+/**
+ * Work out the labels of a print job and the copies of each
+ * Every label prints its own ^PQ quantity (one without ^PQ), except the
+ * previewed label, which prints the Copies input (filled in from its ^PQ).
+ * The first copy of each label is rendered here, which reads its ^PQ.
+ * @param {Object} job - See createPrintJob
+ * @param {number} copies - Copies of the previewed label
+ * @returns {Promise<Array<{ label: number, start: number, copies: number, quantity: Object|null, bitmap: Object }>>}
+ *   Labels in print order, with the job position of their first copy, their
+ *   ^PQ setting and the bitmap of their first copy
+ */
+async function planPrintJob(job, copies) {
+    const labels = [];
+    let labelCount = 1;
+    let start = 0;
+    for (let label = 0; label < labelCount; label++) {
+        const { bitmap, quantity, labelCount: count } = await renderLabel(printRenderer, job, 0, label);
+        labelCount = count;
+        
+        const labelCopies = label === job.label ? copies : quantity ? quantity.total : 1;
+        labels.push({ label, start, copies: labelCopies, quantity, bitmap });
+        start += labelCopies;
+    }
+    return labels;
+}
+
+/**
+ * Render one label of a print job, pausing first where ^PQ asks to
+ * Copies are rendered one by one, so serial values and replicates advance,
+ * all from the job's copy of the ZPL and field values. A ^PQ pause counts
+ * the labels printed by the whole job.
+ * @param {Object} job - See createPrintJob
+ * @param {Array} labels - See planPrintJob
+ * @param {number} index - Position in the job (labels in order, each with its copies)
+ * @returns {Promise<{ data: Uint8Array, width: number, height: number }>}
+ */
+async function getJobBitmap(job, labels, index) {
+    const entry = labels.find(({ start, copies }) => index < start + copies);
+    const copy = index - entry.start;
+    const { quantity } = entry;
+    
+    if (quantity && quantity.pauseEvery > 0 && !quantity.overridePause &&
+        index > 0 && index % quantity.pauseEvery === 0) {
+        await pausePrint(index);
+    }
+    
+    if (copy === 0) {
+        return entry.bitmap;
+    }
+    const { bitmap } = await renderLabel(printRenderer, job, copy, entry.label);
+    return bitmap;
+}
+
+/**
+ * Pause a print job until the print button is tapped again
+ * @param {number} printed - Labels printed so far
+ */
+function pausePrint(printed) {
+    updatePrintStatus(`Paused after ${printed} labels`, 'printing');
+    elements.printBtnText.textContent = 'Continue';
+    elements.printBtn.classList.remove('printing');
+    
+    return new Promise(resolve => {
+        state.resumePrint = resolve;
+        updatePrintButton();
+    });
+}
+
+function resumePrint() {
+    const resume = state.resumePrint;
+    state.resumePrint = null;
+    elements.printBtnText.textContent = 'Print Label';
+    elements.printBtn.classList.add('printing');
+    updatePrintButton();
+    resume();
+}
+
 function updatePrintStatus(text, type) {
     elements.printStatus.textContent = text;
     elements.printStatus.className = 'print-status';
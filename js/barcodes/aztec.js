@@ -0,0 +1,416 @@
+/**
+ * Aztec Code encoder
+ *
+ * Encodes bytes using the upper, lower, mixed, punctuation, digit and
+ * binary-shift modes, then picks a compact (1-4 layers) or full-range
+ * (4-32 layers) symbol that satisfies the requested error correction.
+ */
+
+// Modes
+const UPPER = 0;
+const LOWER = 1;
+const MIXED = 2;
+const PUNCT = 3;
+const DIGIT = 4;
+
+// Mode latch sequences as [bits, value] pairs, indexed [from][to]
+const LATCHES = [
+    [[], [[5, 28]], [[5, 29]], [[5, 29], [5, 30]], [[5, 30]]],
+    [[[5, 30], [4, 14]], [], [[5, 29]], [[5, 29], [5, 30]], [[5, 30]]],
+    [[[5, 29]], [[5, 28]], [], [[5, 30]], [[5, 29], [5, 30]]],
+    [[[5, 31]], [[5, 31], [5, 28]], [[5, 31], [5, 29]], [], [[5, 31], [5, 30]]],
+    [[[4, 14]], [[4, 14], [5, 28]], [[4, 14], [5, 29]], [[4, 14], [5, 29], [5, 30]], []]
+];
+
+const PUNCT_PAIRS = { '\r\n': 2, '. ': 3, ', ': 4, ': ': 5 };
+const PUNCT_CHARS = '\r!"#$%&\'()*+,-./:;<=>?[]{}';
+const MIXED_CHARS = '@\\^_`|~\x7F';
+
+// Word size per layer count
+const WORD_SIZE = [4, 6, 6, 8, 8, 8, 8, 8, 8, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10, 10,
+    10, 12, 12, 12, 12, 12, 12, 12, 12, 12, 12];
+
+// Galois field primitive polynomials per word size
+const FIELD_POLYNOMIALS = { 4: 0x13, 6: 0x43, 8: 0x12D, 10: 0x409, 12: 0x1069 };
+
+/**
+ * Get a character's value in a mode, or -1
+ */
+function charCode(c, mode) {
+    const char = String.fromCharCode(c);
+    switch (mode) {
+        case UPPER:
+            if (c === 32) return 1;
+            return c >= 65 && c <= 90 ? c - 63 : -1;
+        case LOWER:
+            if (c === 32) return 1;
+            return c >= 97 && c <= 122 ? c - 95 : -1;
+        case MIXED:
+            if (c === 32) return 1;
+            if (c >= 1 && c <= 13) return c + 1;
+            if (c >= 27 && c <= 31) return c - 12;
+            return MIXED_CHARS.includes(char) ? MIXED_CHARS.indexOf(char) + 20 : -1;
+        case PUNCT:
+            if (c === 13) return 1;
+            return PUNCT_CHARS.includes(char) && c !== 13 ? PUNCT_CHARS.indexOf(char) + 5 : -1;
+        case DIGIT:
+            if (c === 32) return 1;
+            if (c >= 48 && c <= 57) return c - 46;
+            if (c === 44) return 12;
+            return c === 46 ? 13 : -1;
+    }
+    return -1;
+}
+
+function modeBits(mode) {
+    return mode === DIGIT ? 4 : 5;
+}
+
+/**
+ * Encode bytes into the Aztec bit stream
+ * @param {number[]} bytes - Data bytes
+ * @returns {number[]} Bits
+ */
+function encodeBits(bytes) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >> i) & 1);
+    };
+    const latch = (from, to) => {
+        for (const [length, value] of LATCHES[from][to]) append(value, length);
+    };
+    const modesOf = (c) => [UPPER, LOWER, MIXED, DIGIT, PUNCT].filter(m => charCode(c, m) >= 0);
+
+    let mode = UPPER;
+    let i = 0;
+
+    while (i < bytes.length) {
+        const c = bytes[i];
+        const next = bytes[i + 1];
+        const pair = next !== undefined ? PUNCT_PAIRS[String.fromCharCode(c, next)] : undefined;
+
+        // Two-character punctuation codes
+        if (pair !== undefined && (mode === PUNCT || charCode(c, mode) < 0)) {
+            if (mode !== PUNCT) append(0, modeBits(mode)); // P/S
+            append(pair, 5);
+            i += 2;
+            continue;
+        }
+
+        if (charCode(c, mode) >= 0) {
+            append(charCode(c, mode), modeBits(mode));
+            i++;
+            continue;
+        }
+
+        const candidates = modesOf(c);
+
+        // Bytes no mode covers go through binary shift
+        if (candidates.length === 0) {
+            let end = i;
+            while (end < bytes.length && end - i < 2078 && modesOf(bytes[end]).length === 0) end++;
+            if (mode === PUNCT || mode === DIGIT) {
+                latch(mode, UPPER);
+                mode = UPPER;
+            }
+            const length = end - i;
+            append(31, 5); // B/S
+            if (length <= 31) {
+                append(length, 5);
+            } else {
+                append(0, 5);
+                append(length - 31, 11);
+            }
+            for (; i < end; i++) append(bytes[i], 8);
+            continue;
+        }
+
+        const nextFits = next === undefined || charCode(next, mode) >= 0;
+
+        // Single punctuation character: P/S
+        if (candidates.length === 1 && candidates[0] === PUNCT &&
+            (next === undefined || charCode(next, PUNCT) < 0)) {
+            append(0, modeBits(mode));
+            append(charCode(c, PUNCT), 5);
+            i++;
+            continue;
+        }
+
+        // Single upper case character from lower or digit mode: U/S
+        if (candidates.includes(UPPER) && (mode === LOWER || mode === DIGIT) && nextFits) {
+            append(mode === LOWER ? 28 : 15, modeBits(mode));
+            append(charCode(c, UPPER), 5);
+            i++;
+            continue;
+        }
+
+        // Latch, preferring a mode that also holds the next character
+        const target = candidates.find(m => next !== undefined && charCode(next, m) >= 0) ?? candidates[0];
+        latch(mode, target);
+        mode = target;
+    }
+
+    return bits;
+}
+
+/**
+ * Insert stuffing bits so no codeword is all zeros or all ones
+ */
+function stuffBits(bits, wordSize) {
+    const out = [];
+    const mask = (1 << wordSize) - 2;
+    for (let i = 0; i < bits.length; i += wordSize) {
+        let word = 0;
+        for (let j = 0; j < wordSize; j++) {
+            if (i + j >= bits.length || bits[i + j]) word |= 1 << (wordSize - 1 - j);
+        }
+        if ((word & mask) === mask) {
+            word &= mask;
+            i--;
+        } else if ((word & mask) === 0) {
+            word |= 1;
+            i--;
+        }
+        for (let j = wordSize - 1; j >= 0; j--) out.push((word >> j) & 1);
+    }
+    return out;
+}
+
+// ===========================================
+// Reed-Solomon
+// ===========================================
+
+/**
+ * Compute check words (generator roots a^1..a^n) in GF(2^wordSize)
+ */
+function reedSolomon(data, eccCount, wordSize) {
+    const size = 1 << wordSize;
+    const poly = FIELD_POLYNOMIALS[wordSize];
+    const exp = new Array(size * 2);
+    const log = new Array(size);
+    let x = 1;
+    for (let i = 0; i < size - 1; i++) {
+        exp[i] = x;
+        log[x] = i;
+        x <<= 1;
+        if (x & size) x ^= poly;
+    }
+    for (let i = size - 1; i < size * 2; i++) exp[i] = exp[i - (size - 1)];
+    const multiply = (a, b) => (a === 0 || b === 0 ? 0 : exp[log[a] + log[b]]);
+
+    let generator = [1];
+    for (let i = 1; i <= eccCount; i++) {
+        const next = new Array(generator.length + 1).fill(0);
+        generator.forEach((coef, j) => {
+            next[j] ^= coef;
+            next[j + 1] ^= multiply(coef, exp[i]);
+        });
+        generator = next;
+    }
+    generator = generator.slice(1);
+
+    const remainder = new Array(eccCount).fill(0);
+    for (const value of data) {
+        const factor = value ^ remainder.shift();
+        remainder.push(0);
+        generator.forEach((coef, j) => {
+            remainder[j] ^= multiply(coef, factor);
+        });
+    }
+    return remainder;
+}
+
+/**
+ * Pack bits into words, add check words and return the padded bit stream
+ */
+function generateCheckWords(bits, totalBits, wordSize) {
+    const messageWords = [];
+    for (let i = 0; i < bits.length; i += wordSize) {
+        let word = 0;
+        for (let j = 0; j < wordSize; j++) word = (word << 1) | (bits[i + j] || 0);
+        messageWords.push(word);
+    }
+    const totalWords = Math.floor(totalBits / wordSize);
+    const words = messageWords.concat(reedSolomon(messageWords, totalWords - messageWords.length, wordSize));
+
+    const out = new Array(totalBits % wordSize).fill(0);
+    for (const word of words) {
+        for (let j = wordSize - 1; j >= 0; j--) out.push((word >> j) & 1);
+    }
+    return out;
+}
+
+function totalBitsInLayer(layers, compact) {
+    return ((compact ? 88 : 112) + 16 * layers) * layers;
+}
+
+// ===========================================
+// Symbol layout
+// ===========================================
+
+/**
+ * Encode data as an Aztec symbol
+ * @param {number[]} bytes - Data bytes
+ * @param {Object} [options]
+ * @param {number} [options.eccPercent=23] - Minimum error correction percentage
+ * @param {number} [options.layers] - Fixed layer count (1-4 compact, 1-32 full)
+ * @param {boolean} [options.compact] - With layers, select a compact symbol
+ * @returns {{ size: number, compact: boolean, layers: number, modules: boolean[][] }} Module matrix (true = dark)
+ */
+export function encodeAztec(bytes, { eccPercent = 23, layers: fixedLayers = 0, compact: fixedCompact = false } = {}) {
+    const bits = encodeBits(bytes);
+    let compact;
+    let layers;
+    let wordSize;
+    let stuffed;
+    let totalBits;
+
+    if (fixedLayers) {
+        compact = fixedCompact;
+        layers = fixedLayers;
+        if (layers > (compact ? 4 : 32)) {
+            throw new Error(`Invalid Aztec layer count: ${layers}`);
+        }
+        totalBits = totalBitsInLayer(layers, compact);
+        wordSize = WORD_SIZE[layers];
+        stuffed = stuffBits(bits, wordSize);
+        const usable = totalBits - (totalBits % wordSize);
+        if (stuffed.length + 3 * wordSize > usable || (compact && stuffed.length > wordSize * 64)) {
+            throw new Error('Aztec data too long for the requested symbol size');
+        }
+    } else {
+        const eccBits = Math.floor(bits.length * eccPercent / 100) + 11;
+        for (let i = 0; ; i++) {
+            if (i > 32) {
+                throw new Error('Aztec data too long');
+            }
+            compact = i <= 3;
+            layers = compact ? i + 1 : i;
+            totalBits = totalBitsInLayer(layers, compact);
+            if (bits.length + eccBits > totalBits) continue;
+            if (!stuffed || wordSize !== WORD_SIZE[layers]) {
+                wordSize = WORD_SIZE[layers];
+                stuffed = stuffBits(bits, wordSize);
+            }
+            const usable = totalBits - (totalBits % wordSize);
+            if (compact && stuffed.length > wordSize * 64) continue;
+            if (stuffed.length + eccBits <= usable) break;
+        }
+    }
+
+    const messageBits = generateCheckWords(stuffed, totalBits, wordSize);
+    const messageWords = stuffed.length / wordSize;
+
+    // Mode message: layer count and data word count
+    const modeBits = [];
+    const appendMode = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) modeBits.push((value >> i) & 1);
+    };
+    if (compact) {
+        appendMode(layers - 1, 2);
+        appendMode(messageWords - 1, 6);
+    } else {
+        appendMode(layers - 1, 5);
+        appendMode(messageWords - 1, 11);
+    }
+    const modeMessage = generateCheckWords(modeBits, compact ? 28 : 40, 4);
+
+    // Map base coordinates around the reference grid lines of full symbols
+    const baseSize = (compact ? 11 : 14) + layers * 4;
+    const alignmentMap = new Array(baseSize);
+    let size;
+    if (compact) {
+        size = baseSize;
+        for (let i = 0; i < baseSize; i++) alignmentMap[i] = i;
+    } else {
+        size = baseSize + 1 + 2 * Math.floor((Math.floor(baseSize / 2) - 1) / 15);
+        const origCenter = Math.floor(baseSize / 2);
+        const center = Math.floor(size / 2);
+        for (let i = 0; i < origCenter; i++) {
+            const offset = i + Math.floor(i / 15);
+            alignmentMap[origCenter - i - 1] = center - offset - 1;
+            alignmentMap[origCenter + i] = center + offset + 1;
+        }
+    }
+
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y) => {
+        modules[y][x] = true;
+    };
+
+    // Data layers, spiralling inward from the outermost layer
+    for (let i = 0, rowOffset = 0; i < layers; i++) {
+        const rowSize = (layers - i) * 4 + (compact ? 9 : 12);
+        for (let j = 0; j < rowSize; j++) {
+            const columnOffset = j * 2;
+            for (let k = 0; k < 2; k++) {
+                const near = i * 2;
+                const far = baseSize - 1 - i * 2;
+                if (messageBits[rowOffset + columnOffset + k]) {
+                    set(alignmentMap[near + k], alignmentMap[near + j]);
+                }
+                if (messageBits[rowOffset + rowSize * 2 + columnOffset + k]) {
+                    set(alignmentMap[near + j], alignmentMap[far - k]);
+                }
+                if (messageBits[rowOffset + rowSize * 4 + columnOffset + k]) {
+                    set(alignmentMap[far - k], alignmentMap[far - j]);
+                }
+                if (messageBits[rowOffset + rowSize * 6 + columnOffset + k]) {
+                    set(alignmentMap[far - j], alignmentMap[near + k]);
+                }
+            }
+        }
+        rowOffset += rowSize * 8;
+    }
+
+    // Mode message around the bull's eye
+    const center = Math.floor(size / 2);
+    if (compact) {
+        for (let i = 0; i < 7; i++) {
+            const offset = center - 3 + i;
+            if (modeMessage[i]) set(offset, center - 5);
+            if (modeMessage[i + 7]) set(center + 5, offset);
+            if (modeMessage[20 - i]) set(offset, center + 5);
+            if (modeMessage[27 - i]) set(center - 5, offset);
+        }
+    } else {
+        for (let i = 0; i < 10; i++) {
+            const offset = center - 5 + i + Math.floor(i / 5);
+            if (modeMessage[i]) set(offset, center - 7);
+            if (modeMessage[i + 10]) set(center + 7, offset);
+            if (modeMessage[29 - i]) set(offset, center + 7);
+            if (modeMessage[39 - i]) set(center - 7, offset);
+        }
+    }
+
+    // Bull's eye finder with orientation marks
+    const eye = compact ? 5 : 7;
+    for (let i = 0; i < eye; i += 2) {
+        for (let j = center - i; j <= center + i; j++) {
+            set(j, center - i);
+            set(j, center + i);
+            set(center - i, j);
+            set(center + i, j);
+        }
+    }
+    set(center - eye, center - eye);
+    set(center - eye + 1, center - eye);
+    set(center - eye, center - eye + 1);
+    set(center + eye, center - eye);
+    set(center + eye, center - eye + 1);
+    set(center + eye, center + eye - 1);
+
+    // Reference grid of full-range symbols
+    if (!compact) {
+        for (let i = 0, j = 0; i < Math.floor(baseSize / 2) - 1; i += 15, j += 16) {
+            for (let k = center & 1; k < size; k += 2) {
+                set(center - j, k);
+                set(center + j, k);
+                set(k, center - j);
+                set(k, center + j);
+            }
+        }
+    }
+
+    return { size, compact, layers, modules };
+}
@@ -0,0 +1,329 @@
+/**
+ * Code 128 encoder
+ *
+ * Encodes field data into Code 128 bar/space widths, covering subsets A, B
+ * and C, the ZPL invocation codes (>9, >:, >;, >5, >6, >7, >8, ...) and the
+ * mod 103 check character.
+ */
+
+import { mod10CheckDigit } from './ean.js';
+
+// Bar/space widths for symbol values 0-106 (106 = stop)
+const PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312',
+    '132212', '221213', '221312', '231212', '112232', '122132', '122231', '113222',
+    '123122', '123221', '223211', '221132', '221231', '213212', '223112', '312131',
+    '311222', '321122', '321221', '312212', '322112', '322211', '212123', '212321',
+    '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121',
+    '313121', '211331', '231131', '213113', '213311', '213131', '311123', '311321',
+    '331121', '312113', '312311', '332111', '314111', '221411', '431111', '111224',
+    '111422', '121124', '121421', '141122', '141221', '112214', '112412', '122114',
+    '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112',
+    '421211', '212141', '214121', '412121', '111143', '111341', '131141', '114113',
+    '114311', '411113', '411311', '113141', '114131', '311141', '411131', '211412',
+    '211214', '211232', '2331112'
+];
+
+// Special symbol values
+const SHIFT = 98;
+const CODE_C = 99;
+const CODE_B = 100;
+const CODE_A = 101;
+const FNC1 = 102;
+const START = { A: 103, B: 104, C: 105 };
+const STOP = 106;
+
+// Value of FNC2-4 per subset (FNC4 shares its value with the code change)
+const FUNCTIONS = {
+    FNC1: { A: FNC1, B: FNC1, C: FNC1 },
+    FNC2: { A: 97, B: 97 },
+    FNC3: { A: 96, B: 96 },
+    FNC4: { A: CODE_A, B: CODE_B }
+};
+
+// Value that switches from the current subset to another one
+const SWITCH_TO = { A: CODE_A, B: CODE_B, C: CODE_C };
+
+// ZPL invocation codes (">" followed by one character)
+const INVOCATIONS = {
+    '<': { char: 94 },        // ^
+    '0': { char: 62 },        // >
+    '=': { char: 126 },       // ~
+    '1': { char: 127 },       // DEL
+    '2': { fn: 'FNC3' },
+    '3': { fn: 'FNC2' },
+    '4': { control: 'SHIFT' },
+    '5': { control: 'C' },
+    '6': { control: '>6' },   // CODE B, or FNC4 within subset B
+    '7': { control: '>7' },   // CODE A, or FNC4 within subset A
+    '8': { fn: 'FNC1' },
+    '9': { start: 'A' },
+    ':': { start: 'B' },
+    ';': { start: 'C' }
+};
+
+// GS1 application identifier prefixes with a predefined (fixed) length
+const FIXED_LENGTH_AIS = [
+    '00', '01', '02', '03', '04', '11', '12', '13', '14', '15', '16', '17',
+    '18', '19', '20', '31', '32', '33', '34', '35', '36', '41'
+];
+
+/**
+ * Split field data into characters, functions and subset controls
+ * @param {string} data - Field data
+ * @param {boolean} manual - Keep subset controls (mode N) or drop them
+ * @returns {Array<{ char?: number, fn?: string, control?: string, start?: string }>}
+ */
+function tokenize(data, manual) {
+    const tokens = [];
+    for (let i = 0; i < data.length; i++) {
+        const code = data.charCodeAt(i);
+        if (data[i] === '>' && i + 1 < data.length && INVOCATIONS[data[i + 1]]) {
+            const token = INVOCATIONS[data[i + 1]];
+            i++;
+            if (token.char !== undefined || token.fn || manual) {
+                tokens.push(token);
+            }
+        } else if (code < 256) {
+            tokens.push({ char: code });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Get the value of a character within a subset, or -1 if it is not encodable
+ */
+function charValue(char, subset) {
+    if (subset === 'A') {
+        if (char < 32) return char + 64;
+        if (char < 96) return char - 32;
+    } else if (subset === 'B') {
+        if (char >= 32 && char < 128) return char - 32;
+    }
+    return -1;
+}
+
+function isDigit(token) {
+    return token && token.char >= 48 && token.char <= 57;
+}
+
+/**
+ * Count consecutive digits starting at index
+ */
+function digitRun(tokens, index) {
+    let count = 0;
+    while (isDigit(tokens[index + count])) count++;
+    return count;
+}
+
+/**
+ * Pick subset A or B for the data starting at index
+ * A is chosen when a control character appears before any lowercase letter.
+ */
+function pickAB(tokens, index) {
+    for (let i = index; i < tokens.length; i++) {
+        const char = tokens[i].char;
+        if (char === undefined) continue;
+        const base = char & 0x7F;
+        if (base < 32) return 'A';
+        if (base >= 96) return 'B';
+    }
+    return 'B';
+}
+
+/**
+ * Pick the optimal start subset for automatic encoding
+ */
+function pickStart(tokens) {
+    let index = 0;
+    while (tokens[index] && tokens[index].fn === 'FNC1') index++;
+    const run = digitRun(tokens, index);
+    if (run >= 4 || (run >= 2 && index + run === tokens.length && run % 2 === 0)) {
+        return 'C';
+    }
+    return pickAB(tokens, index);
+}
+
+/**
+ * Encode tokens into symbol values, switching subsets as needed
+ * @param {Array} tokens - Tokens from tokenize()
+ * @param {boolean} manual - Honor invocation codes (mode N) instead of optimizing
+ * @returns {number[]} Symbol values including start character
+ */
+function encodeValues(tokens, manual) {
+    let subset;
+    let index = 0;
+
+    if (manual) {
+        subset = tokens[0] && tokens[0].start ? tokens[index++].start : 'B';
+    } else {
+        subset = pickStart(tokens);
+    }
+
+    const values = [START[subset]];
+    const switchTo = (next) => {
+        if (next !== subset) {
+            values.push(SWITCH_TO[next]);
+            subset = next;
+        }
+    };
+
+    // Encode one character in subset A or B, using FNC4 for extended ASCII
+    // and SHIFT when only a single character needs the other subset
+    const encodeChar = (position) => {
+        const char = tokens[position].char;
+        const base = char & 0x7F;
+        if (subset === 'C' || charValue(base, subset) < 0) {
+            const other = pickAB(tokens, position);
+            const next = tokens[position + 1];
+            const nextFits = next && next.char !== undefined && subset !== 'C' &&
+                charValue(next.char & 0x7F, subset) >= 0;
+            if (subset !== 'C' && nextFits && char < 128) {
+                values.push(SHIFT, charValue(base, other));
+                return;
+            }
+            switchTo(subset === 'C' ? other : (subset === 'A' ? 'B' : 'A'));
+        }
+        if (char >= 128) values.push(FUNCTIONS.FNC4[subset]);
+        values.push(charValue(base, subset));
+    };
+
+    while (index < tokens.length) {
+        const token = tokens[index];
+
+        if (token.fn) {
+            if (!FUNCTIONS[token.fn][subset]) switchTo(pickAB(tokens, index + 1));
+            values.push(FUNCTIONS[token.fn][subset]);
+            index++;
+            continue;
+        }
+
+        if (token.control || token.start) {
+            const control = token.control || token.start;
+            if (control === 'SHIFT') {
+                const next = tokens[index + 1];
+                if (next && next.char !== undefined && subset !== 'C') {
+                    const other = subset === 'A' ? 'B' : 'A';
+                    const value = charValue(next.char & 0x7F, other);
+                    if (value >= 0) {
+                        values.push(SHIFT, value);
+                        index += 2;
+                        continue;
+                    }
+                }
+            } else if (control === '>6') {
+                if (subset === 'B') values.push(FUNCTIONS.FNC4.B);
+                else switchTo('B');
+            } else if (control === '>7') {
+                if (subset === 'A') values.push(FUNCTIONS.FNC4.A);
+                else switchTo('A');
+            } else {
+                switchTo(control);
+            }
+            index++;
+            continue;
+        }
+
+        if (subset === 'C') {
+            if (digitRun(tokens, index) >= 2) {
+                values.push((tokens[index].char - 48) * 10 + (tokens[index + 1].char - 48));
+                index += 2;
+                continue;
+            }
+            encodeChar(index++);
+            continue;
+        }
+
+        if (!manual) {
+            const run = digitRun(tokens, index);
+            if (run >= 4 && (index + run === tokens.length || run >= 6)) {
+                if (run % 2 === 1) encodeChar(index++);
+                switchTo('C');
+                continue;
+            }
+        }
+
+        encodeChar(index++);
+    }
+
+    return values;
+}
+
+/**
+ * Build GS1 data for UCC/EAN mode (D) from "(AI)value" groups
+ * @param {string} data - Field data, e.g. "(01)09501101530003(10)ABC"
+ * @returns {string} Data with FNC1 invocation codes
+ */
+function buildGS1Data(data) {
+    const groups = [...data.matchAll(/\((\d{2,4})\)([^(]*)/g)];
+    if (groups.length === 0) {
+        return data.startsWith('>8') ? data : '>8' + data;
+    }
+    return '>8' + groups.map((group, i) => {
+        const [, ai, value] = group;
+        const separator = i < groups.length - 1 && !FIXED_LENGTH_AIS.includes(ai.slice(0, 2)) ? '>8' : '';
+        return ai + value + separator;
+    }).join('');
+}
+
+/**
+ * Encode data as Code 128
+ * @param {string} data - Field data (may contain ZPL invocation codes)
+ * @param {Object} [options]
+ * @param {string} [options.mode='N'] - ^BC mode: N (none), U (UCC case), A (automatic), D (UCC/EAN)
+ * @param {boolean} [options.checkDigit=false] - Append a mod 10 check digit to numeric data
+ * @returns {{ modules: number[], text: string }} Bar/space widths in modules
+ *   (starting with a bar) and the human-readable interpretation line
+ */
+export function encodeCode128(data, { mode = 'N', checkDigit = false } = {}) {
+    let encoded = data;
+    let text;
+
+    if (mode === 'U') {
+        const digits = data.replace(/\D/g, '').slice(0, 19).padEnd(19, '0');
+        const full = digits + mod10CheckDigit(digits);
+        encoded = '>;>8' + full;
+        text = `(${full.slice(0, 2)})${full.slice(2)}`;
+    } else if (mode === 'D') {
+        encoded = buildGS1Data(data);
+        text = data.replace(/>./g, '');
+    } else {
+        if (checkDigit && /^\d+$/.test(data)) {
+            encoded = data + mod10CheckDigit(data);
+        }
+        text = null;
+    }
+
+    const tokens = tokenize(encoded, mode === 'N' || mode === 'U');
+    if (tokens.every(token => token.char === undefined && !token.fn)) {
+        throw new Error('Code 128 field data is empty');
+    }
+
+    const values = encodeValues(tokens, mode === 'N' || mode === 'U');
+
+    // Mod 103 check character
+    let sum = values[0];
+    for (let i = 1; i < values.length; i++) {
+        sum += values[i] * i;
+    }
+    values.push(sum % 103, STOP);
+
+    if (text === null) {
+        text = tokens
+            .filter(token => token.char !== undefined && token.char >= 32)
+            .map(token => String.fromCharCode(token.char))
+            .join('');
+    }
+
+    const modules = [];
+    for (const value of values) {
+        for (const width of PATTERNS[value]) {
+            modules.push(Number(width));
+        }
+    }
+
+    return { modules, text };
+}
@@ -0,0 +1,56 @@
+/**
+ * Code 39 encoder
+ *
+ * Encodes the 43-character Code 39 set between * start/stop characters,
+ * with an optional mod 43 check character.
+ */
+
+const ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%';
+
+// Wide elements of each character (5 bars, 4 spaces), first element in the high bit
+const PATTERNS = [
+    0x034, 0x121, 0x061, 0x160, 0x031, 0x130, 0x070, 0x025, 0x124, 0x064, // 0-9
+    0x109, 0x049, 0x148, 0x019, 0x118, 0x058, 0x00D, 0x10C, 0x04C, 0x01C, // A-J
+    0x103, 0x043, 0x142, 0x013, 0x112, 0x052, 0x007, 0x106, 0x046, 0x016, // K-T
+    0x181, 0x0C1, 0x1C0, 0x091, 0x190, 0x0D0, 0x085, 0x184, 0x0C4, 0x0A8, // U-$
+    0x0A2, 0x08A, 0x02A                                                  // /-%
+];
+const ASTERISK = 0x094;
+
+/**
+ * Encode data as Code 39
+ * @param {string} data - Field data (digits, A-Z, space and -.$/+%)
+ * @param {Object} [options]
+ * @param {boolean} [options.checkDigit=false] - Append a mod 43 check character
+ * @returns {{ wide: boolean[], text: string }} Wide flags per element (starting
+ *   with a bar, including the narrow gaps between characters) and the
+ *   human-readable interpretation line
+ */
+export function encodeCode39(data, { checkDigit = false } = {}) {
+    const values = Array.from(data, char => {
+        const value = ALPHABET.indexOf(char);
+        if (value < 0) {
+            throw new Error(`Invalid Code 39 character: ${char}`);
+        }
+        return value;
+    });
+    if (values.length === 0) {
+        throw new Error('Code 39 field data is empty');
+    }
+
+    if (checkDigit) {
+        values.push(values.reduce((sum, value) => sum + value, 0) % 43);
+    }
+
+    const patterns = [ASTERISK, ...values.map(value => PATTERNS[value]), ASTERISK];
+    const wide = [];
+    patterns.forEach((pattern, i) => {
+        if (i > 0) wide.push(false);
+        for (let bit = 8; bit >= 0; bit--) {
+            wide.push(((pattern >> bit) & 1) === 1);
+        }
+    });
+
+    const text = '*' + values.map(value => ALPHABET[value]).join('') + '*';
+    return { wide, text };
+}
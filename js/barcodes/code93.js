@@ -0,0 +1,102 @@
+/**
+ * Code 93 encoder
+ *
+ * Encodes full ASCII data with the C and K check characters. In ZPL field
+ * data the four shift characters are written as &, ', ( and ).
+ */
+
+const ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%';
+
+// Shift characters ($), (%), (/) and (+) and how ZPL field data spells them
+const SHIFT_DOLLAR = 43;
+const SHIFT_PERCENT = 44;
+const SHIFT_SLASH = 45;
+const SHIFT_PLUS = 46;
+const ZPL_SHIFTS = { '&': SHIFT_DOLLAR, '\'': SHIFT_PERCENT, '(': SHIFT_SLASH, ')': SHIFT_PLUS };
+
+// Module patterns of values 0-46, 9 modules each (1 = bar)
+const PATTERNS = [
+    0x114, 0x148, 0x144, 0x142, 0x128, 0x124, 0x122, 0x150, 0x112, 0x10A, // 0-9
+    0x1A8, 0x1A4, 0x1A2, 0x194, 0x192, 0x18A, 0x168, 0x164, 0x162, 0x134, // A-J
+    0x11A, 0x158, 0x14C, 0x146, 0x12C, 0x116, 0x1B4, 0x1B2, 0x1AC, 0x1A6, // K-T
+    0x196, 0x19A, 0x16C, 0x166, 0x136, 0x13A,                             // U-Z
+    0x12E, 0x1D4, 0x1D2, 0x1CA, 0x16E, 0x176, 0x1AE,                      // -. $/+%
+    0x126, 0x1DA, 0x1D6, 0x132                                            // shifts
+];
+const START_STOP = 0x15E;
+
+/**
+ * Get the full ASCII shift and character for a code outside the Code 93 set
+ * @returns {number[]} Symbol values
+ */
+function extendedValues(code) {
+    const letter = (offset) => ALPHABET.indexOf(String.fromCharCode(65 + offset));
+    if (code === 0) return [SHIFT_PERCENT, letter(20)];
+    if (code <= 26) return [SHIFT_DOLLAR, letter(code - 1)];
+    if (code <= 31) return [SHIFT_PERCENT, letter(code - 27)];
+    if (code <= 47) return [SHIFT_SLASH, letter(code - 33)];
+    if (code === 58) return [SHIFT_SLASH, letter(25)];
+    if (code <= 63) return [SHIFT_PERCENT, letter(code - 59 + 5)];
+    if (code === 64) return [SHIFT_PERCENT, letter(21)];
+    if (code <= 95) return [SHIFT_PERCENT, letter(code - 91 + 10)];
+    if (code === 96) return [SHIFT_PERCENT, letter(22)];
+    if (code <= 122) return [SHIFT_PLUS, letter(code - 97)];
+    if (code <= 127) return [SHIFT_PERCENT, letter(code - 123 + 15)];
+    throw new Error(`Invalid Code 93 character: ${String.fromCharCode(code)}`);
+}
+
+/**
+ * Calculate a Code 93 check character over values, weights cycling 1..maxWeight from the right
+ */
+function checkValue(values, maxWeight) {
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[values.length - 1 - i] * ((i % maxWeight) + 1);
+    }
+    return sum % 47;
+}
+
+/**
+ * Spell a symbol value the way ZPL field data writes it
+ */
+function valueText(value) {
+    return value < 43 ? ALPHABET[value] : Object.keys(ZPL_SHIFTS)[value - 43];
+}
+
+/**
+ * Encode data as Code 93
+ * @param {string} data - Field data
+ * @param {Object} [options]
+ * @param {boolean} [options.printCheckDigits=false] - Show the check characters in the interpretation line
+ * @returns {{ modules: number[], text: string }} Bar/space widths in modules
+ *   (starting with a bar) and the human-readable interpretation line
+ */
+export function encodeCode93(data, { printCheckDigits = false } = {}) {
+    const values = [];
+    for (const char of data) {
+        if (ZPL_SHIFTS[char] !== undefined) {
+            values.push(ZPL_SHIFTS[char]);
+        } else if (ALPHABET.includes(char)) {
+            values.push(ALPHABET.indexOf(char));
+        } else {
+            values.push(...extendedValues(char.charCodeAt(0)));
+        }
+    }
+    if (values.length === 0) {
+        throw new Error('Code 93 field data is empty');
+    }
+
+    const c = checkValue(values, 20);
+    const k = checkValue([...values, c], 15);
+
+    let bits = '';
+    for (const value of [START_STOP, ...[...values, c, k].map(v => PATTERNS[v]), START_STOP]) {
+        bits += value.toString(2);
+    }
+    bits += '1'; // termination bar
+
+    const modules = bits.match(/1+|0+/g).map(run => run.length);
+    const text = data + (printCheckDigits ? valueText(c) + valueText(k) : '');
+
+    return { modules, text };
+}
@@ -0,0 +1,544 @@
+/**
+ * Data Matrix (ECC 200) encoder
+ *
+ * Encodes bytes and special codewords (FNC1, macros, ...) using ASCII, C40,
+ * Text and Base 256 encodation, selected by the ISO/IEC 16022 look-ahead
+ * test, in any of the 24 square and 6 rectangular symbol sizes.
+ */
+
+// Codewords
+const PAD = 129;
+const LATCH_C40 = 230;
+const LATCH_BASE256 = 231;
+const UPPER_SHIFT = 235;
+const LATCH_TEXT = 239;
+const UNLATCH = 254;
+
+/**
+ * Special function codewords, passed to the encoder as { codeword } items
+ */
+export const FNC1 = { codeword: 232 };
+export const STRUCTURED_APPEND = { codeword: 233 };
+export const READER_PROGRAMMING = { codeword: 234 };
+export const MACRO_05 = { codeword: 236 };
+export const MACRO_06 = { codeword: 237 };
+
+// Symbol sizes: rows, cols, data region rows/cols, data codewords, ECC codewords, interleaved blocks
+const SYMBOLS = [
+    [10, 10, 8, 8, 3, 5, 1], [12, 12, 10, 10, 5, 7, 1], [14, 14, 12, 12, 8, 10, 1],
+    [16, 16, 14, 14, 12, 12, 1], [18, 18, 16, 16, 18, 14, 1], [20, 20, 18, 18, 22, 18, 1],
+    [22, 22, 20, 20, 30, 20, 1], [24, 24, 22, 22, 36, 24, 1], [26, 26, 24, 24, 44, 28, 1],
+    [32, 32, 14, 14, 62, 36, 1], [36, 36, 16, 16, 86, 42, 1], [40, 40, 18, 18, 114, 48, 1],
+    [44, 44, 20, 20, 144, 56, 1], [48, 48, 22, 22, 174, 68, 1], [52, 52, 24, 24, 204, 84, 2],
+    [64, 64, 14, 14, 280, 112, 2], [72, 72, 16, 16, 368, 144, 4], [80, 80, 18, 18, 456, 192, 4],
+    [88, 88, 20, 20, 576, 224, 4], [96, 96, 22, 22, 696, 272, 4], [104, 104, 24, 24, 816, 336, 6],
+    [120, 120, 18, 18, 1050, 408, 6], [132, 132, 20, 20, 1304, 496, 8], [144, 144, 22, 22, 1558, 620, 10],
+    [8, 18, 6, 16, 5, 7, 1], [8, 32, 6, 14, 10, 11, 1], [12, 26, 10, 24, 16, 14, 1],
+    [12, 36, 10, 16, 22, 18, 1], [16, 36, 14, 16, 32, 24, 1], [16, 48, 14, 22, 49, 28, 1]
+].map(([rows, cols, regionRows, regionCols, dataCodewords, eccCodewords, blocks]) => ({
+    rows, cols, regionRows, regionCols, dataCodewords, eccCodewords, blocks
+}));
+
+// Encodation modes
+const ASCII = 0;
+const C40 = 1;
+const TEXT = 2;
+const BASE256 = 3;
+
+// ===========================================
+// Character classes
+// ===========================================
+
+function isDigit(item) {
+    return typeof item === 'number' && item >= 48 && item <= 57;
+}
+
+function isNativeC40(c) {
+    return c === 32 || (c >= 48 && c <= 57) || (c >= 65 && c <= 90);
+}
+
+function isNativeText(c) {
+    return c === 32 || (c >= 48 && c <= 57) || (c >= 97 && c <= 122);
+}
+
+/**
+ * C40 values of a byte, including any shift value
+ */
+function c40Values(c) {
+    if (c >= 128) return [1, 30, ...c40Values(c - 128)];
+    if (c === 32) return [3];
+    if (c >= 48 && c <= 57) return [c - 44];
+    if (c >= 65 && c <= 90) return [c - 51];
+    if (c < 32) return [0, c];
+    if (c <= 47) return [1, c - 33];
+    if (c <= 64) return [1, c - 43];
+    if (c <= 95) return [1, c - 69];
+    return [2, c - 96];
+}
+
+/**
+ * Text values of a byte, including any shift value
+ */
+function textValues(c) {
+    if (c >= 128) return [1, 30, ...textValues(c - 128)];
+    if (c === 32) return [3];
+    if (c >= 48 && c <= 57) return [c - 44];
+    if (c >= 97 && c <= 122) return [c - 83];
+    if (c < 32) return [0, c];
+    if (c <= 47) return [1, c - 33];
+    if (c <= 64) return [1, c - 43];
+    if (c <= 90) return [2, c - 64];
+    if (c <= 95) return [1, c - 69];
+    if (c === 96) return [2, 0];
+    return [2, c - 96];
+}
+
+// ===========================================
+// Look-ahead test (ISO/IEC 16022 Annex P)
+// ===========================================
+
+/**
+ * Decide which encodation to continue with from a position
+ * @param {Array} items - Bytes and special codeword items
+ * @param {number} start - Position to look ahead from
+ * @param {number} currentMode - Current encodation mode
+ * @returns {number} Mode to use
+ */
+function lookAhead(items, start, currentMode) {
+    let counts = currentMode === ASCII ? [0, 1, 1, 1.25] : [1, 2, 2, 2.25];
+    if (currentMode !== ASCII) counts[currentMode] = 0;
+
+    const ceilCounts = () => counts.map(count => Math.ceil(count));
+    const minimums = (ints) => {
+        const min = Math.min(...ints);
+        return ints.map(count => count === min);
+    };
+
+    for (let processed = 0; ; processed++) {
+        const item = items[start + processed];
+
+        // End of data (or a special codeword, which is always written in ASCII)
+        if (item === undefined || typeof item !== 'number') {
+            const ints = ceilCounts();
+            const mins = minimums(ints);
+            const minCount = mins.filter(Boolean).length;
+            if (mins[ASCII]) return ASCII;
+            if (minCount === 1 && mins[BASE256]) return BASE256;
+            if (minCount === 1 && mins[TEXT]) return TEXT;
+            return C40;
+        }
+
+        const c = item;
+
+        if (isDigit(c)) {
+            counts[ASCII] += 0.5;
+        } else {
+            counts[ASCII] = Math.ceil(counts[ASCII]) + (c >= 128 ? 2 : 1);
+        }
+
+        if (isNativeC40(c)) counts[C40] += 2 / 3;
+        else counts[C40] += c >= 128 ? 8 / 3 : 4 / 3;
+
+        if (isNativeText(c)) counts[TEXT] += 2 / 3;
+        else counts[TEXT] += c >= 128 ? 8 / 3 : 4 / 3;
+
+        counts[BASE256] += 1;
+
+        if (processed >= 3) {
+            const ints = ceilCounts();
+            const mins = minimums(ints);
+            const minCount = mins.filter(Boolean).length;
+            if (ints[ASCII] < ints[BASE256] && ints[ASCII] < ints[C40] && ints[ASCII] < ints[TEXT]) {
+                return ASCII;
+            }
+            if (ints[BASE256] < ints[ASCII] || !(mins[C40] || mins[TEXT])) {
+                return BASE256;
+            }
+            if (minCount === 1 && mins[TEXT]) {
+                return TEXT;
+            }
+            if (ints[C40] + 1 < ints[ASCII] && ints[C40] + 1 < ints[BASE256] && ints[C40] + 1 < ints[TEXT]) {
+                return C40;
+            }
+        }
+    }
+}
+
+// ===========================================
+// High-level encoding
+// ===========================================
+
+/**
+ * Encode items into data codewords
+ * @param {Array<number|{ codeword: number }>} items - Bytes (0-255) and special codewords
+ * @returns {number[]}
+ */
+function encodeCodewords(items) {
+    const codewords = [];
+    let mode = ASCII;
+    let pos = 0;
+
+    while (pos < items.length) {
+        const item = items[pos];
+
+        if (mode === ASCII) {
+            if (typeof item !== 'number') {
+                codewords.push(item.codeword);
+                pos++;
+            } else if (isDigit(item) && isDigit(items[pos + 1])) {
+                codewords.push(130 + (item - 48) * 10 + (items[pos + 1] - 48));
+                pos += 2;
+            } else {
+                const next = lookAhead(items, pos, ASCII);
+                if (next === C40) {
+                    codewords.push(LATCH_C40);
+                    mode = C40;
+                } else if (next === TEXT) {
+                    codewords.push(LATCH_TEXT);
+                    mode = TEXT;
+                } else if (next === BASE256) {
+                    mode = BASE256;
+                } else if (item >= 128) {
+                    codewords.push(UPPER_SHIFT, item - 127);
+                    pos++;
+                } else {
+                    codewords.push(item + 1);
+                    pos++;
+                }
+            }
+        } else if (mode === BASE256) {
+            pos = encodeBase256(items, pos, codewords);
+            mode = ASCII;
+        } else {
+            pos = encodeC40Text(items, pos, codewords, mode);
+            mode = ASCII;
+        }
+    }
+
+    return codewords;
+}
+
+/**
+ * Encode a C40 or Text run, ending back in ASCII
+ * @returns {number} Position after the run
+ */
+function encodeC40Text(items, pos, codewords, mode) {
+    const valuesOf = mode === C40 ? c40Values : textValues;
+    const chars = []; // Values per character, so a trailing partial triplet can be backed out
+
+    while (pos < items.length) {
+        const item = items[pos];
+        if (item === FNC1) {
+            chars.push([1, 27]);
+        } else if (typeof item === 'number') {
+            chars.push(valuesOf(item));
+        } else {
+            break;
+        }
+        pos++;
+
+        const count = chars.reduce((sum, values) => sum + values.length, 0);
+        if (count % 3 === 0 && lookAhead(items, pos, mode) !== mode) {
+            break;
+        }
+    }
+
+    // A single leftover value cannot be packed; re-encode trailing characters in ASCII
+    let values = chars.flat();
+    while (values.length % 3 === 1) {
+        chars.pop();
+        pos--;
+        values = chars.flat();
+    }
+    if (values.length % 3 === 2) {
+        values.push(0); // Shift 1 as padding
+    }
+
+    for (let i = 0; i < values.length; i += 3) {
+        const packed = 1600 * values[i] + 40 * values[i + 1] + values[i + 2] + 1;
+        codewords.push(packed >> 8, packed & 0xFF);
+    }
+    codewords.push(UNLATCH);
+
+    // An empty run leaves only the latch/unlatch pair behind
+    if (chars.length === 0) {
+        codewords.splice(codewords.length - 2, 2);
+        codewords.push(...encodeASCIIChar(items[pos]));
+        pos++;
+    }
+
+    return pos;
+}
+
+/**
+ * Encode a single byte in ASCII
+ */
+function encodeASCIIChar(item) {
+    if (typeof item !== 'number') return [item.codeword];
+    return item >= 128 ? [UPPER_SHIFT, item - 127] : [item + 1];
+}
+
+/**
+ * Encode a Base 256 run, ending back in ASCII
+ * @returns {number} Position after the run
+ */
+function encodeBase256(items, pos, codewords) {
+    const bytes = [];
+    while (pos < items.length && typeof items[pos] === 'number') {
+        bytes.push(items[pos++]);
+        if (lookAhead(items, pos, BASE256) !== BASE256) break;
+    }
+
+    const header = bytes.length <= 249
+        ? [bytes.length]
+        : [Math.floor(bytes.length / 250) + 249, bytes.length % 250];
+
+    codewords.push(LATCH_BASE256);
+    for (const value of [...header, ...bytes]) {
+        // 255-state randomization, position is 1-based within the codeword stream
+        const pseudo = ((149 * (codewords.length + 1)) % 255) + 1;
+        codewords.push((value + pseudo) % 256);
+    }
+
+    return pos;
+}
+
+// ===========================================
+// Reed-Solomon (GF(256), polynomial 0x12D)
+// ===========================================
+
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+(() => {
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = x;
+        GF_LOG[x] = i;
+        x <<= 1;
+        if (x & 0x100) x ^= 0x12D;
+    }
+    for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255];
+})();
+
+function gfMultiply(a, b) {
+    return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+/**
+ * Generator polynomial coefficients (highest degree first, leading 1 omitted)
+ */
+function generatorPolynomial(degree) {
+    let poly = [1];
+    for (let i = 1; i <= degree; i++) {
+        const next = new Array(poly.length + 1).fill(0);
+        poly.forEach((coef, j) => {
+            next[j] ^= coef;
+            next[j + 1] ^= gfMultiply(coef, GF_EXP[i]);
+        });
+        poly = next;
+    }
+    return poly.slice(1);
+}
+
+function reedSolomon(data, degree) {
+    const generator = generatorPolynomial(degree);
+    const remainder = new Array(degree).fill(0);
+    for (const value of data) {
+        const factor = value ^ remainder.shift();
+        remainder.push(0);
+        generator.forEach((coef, i) => {
+            remainder[i] ^= gfMultiply(coef, factor);
+        });
+    }
+    return remainder;
+}
+
+/**
+ * Append interleaved ECC codewords
+ */
+function addErrorCorrection(data, symbol) {
+    const blocks = symbol.blocks;
+    const eccPerBlock = symbol.eccCodewords / blocks;
+    const result = data.concat(new Array(symbol.eccCodewords).fill(0));
+
+    for (let b = 0; b < blocks; b++) {
+        const blockData = data.filter((_, i) => i % blocks === b);
+        reedSolomon(blockData, eccPerBlock).forEach((value, j) => {
+            result[data.length + j * blocks + b] = value;
+        });
+    }
+
+    return result;
+}
+
+// ===========================================
+// Module placement (ISO/IEC 16022 Annex F)
+// ===========================================
+
+/**
+ * Place codewords into the mapping matrix (data regions without finder patterns)
+ * @returns {boolean[][]}
+ */
+function placeCodewords(codewords, numRows, numCols) {
+    const bits = Array.from({ length: numRows }, () => new Array(numCols).fill(null));
+
+    const module = (row, col, pos, bit) => {
+        if (row < 0) {
+            row += numRows;
+            col += 4 - ((numRows + 4) % 8);
+        }
+        if (col < 0) {
+            col += numCols;
+            row += 4 - ((numCols + 4) % 8);
+        }
+        bits[row][col] = ((codewords[pos] >> (8 - bit)) & 1) === 1;
+    };
+
+    const utah = (row, col, pos) => {
+        module(row - 2, col - 2, pos, 1);
+        module(row - 2, col - 1, pos, 2);
+        module(row - 1, col - 2, pos, 3);
+        module(row - 1, col - 1, pos, 4);
+        module(row - 1, col, pos, 5);
+        module(row, col - 2, pos, 6);
+        module(row, col - 1, pos, 7);
+        module(row, col, pos, 8);
+    };
+
+    const corner = (pos, positions) => {
+        positions.forEach(([row, col], i) => module(row, col, pos, i + 1));
+    };
+
+    const r = numRows;
+    const c = numCols;
+    let pos = 0;
+    let row = 4;
+    let col = 0;
+
+    do {
+        if (row === r && col === 0) {
+            corner(pos++, [[r - 1, 0], [r - 1, 1], [r - 1, 2], [0, c - 2], [0, c - 1], [1, c - 1], [2, c - 1], [3, c - 1]]);
+        }
+        if (row === r - 2 && col === 0 && c % 4 !== 0) {
+            corner(pos++, [[r - 3, 0], [r - 2, 0], [r - 1, 0], [0, c - 4], [0, c - 3], [0, c - 2], [0, c - 1], [1, c - 1]]);
+        }
+        if (row === r - 2 && col === 0 && c % 8 === 4) {
+            corner(pos++, [[r - 3, 0], [r - 2, 0], [r - 1, 0], [0, c - 2], [0, c - 1], [1, c - 1], [2, c - 1], [3, c - 1]]);
+        }
+        if (row === r + 4 && col === 2 && c % 8 === 0) {
+            corner(pos++, [[r - 1, 0], [r - 1, c - 1], [0, c - 3], [0, c - 2], [0, c - 1], [1, c - 3], [1, c - 2], [1, c - 1]]);
+        }
+
+        // Sweep upward diagonally
+        do {
+            if (row < r && col >= 0 && bits[row][col] === null) utah(row, col, pos++);
+            row -= 2;
+            col += 2;
+        } while (row >= 0 && col < c);
+        row += 1;
+        col += 3;
+
+        // Sweep downward diagonally
+        do {
+            if (row >= 0 && col < c && bits[row][col] === null) utah(row, col, pos++);
+            row += 2;
+            col -= 2;
+        } while (row < r && col >= 0);
+        row += 3;
+        col += 1;
+    } while (row < r || col < c);
+
+    // Fixed pattern in the lower right corner if it was not filled
+    if (bits[r - 1][c - 1] === null) {
+        bits[r - 1][c - 1] = true;
+        bits[r - 2][c - 2] = true;
+    }
+
+    return bits.map(line => line.map(bit => bit === true));
+}
+
+/**
+ * Add finder and alignment patterns around each data region
+ */
+function buildSymbol(mapping, symbol) {
+    const regionsV = (symbol.rows) / (symbol.regionRows + 2);
+    const regionsH = (symbol.cols) / (symbol.regionCols + 2);
+    const modules = Array.from({ length: symbol.rows }, () => new Array(symbol.cols).fill(false));
+
+    for (let rv = 0; rv < regionsV; rv++) {
+        for (let rh = 0; rh < regionsH; rh++) {
+            const top = rv * (symbol.regionRows + 2);
+            const left = rh * (symbol.regionCols + 2);
+            const height = symbol.regionRows + 2;
+            const width = symbol.regionCols + 2;
+
+            for (let x = 0; x < width; x++) {
+                modules[top][left + x] = x % 2 === 0;           // Alternating top edge
+                modules[top + height - 1][left + x] = true;      // Solid bottom edge
+            }
+            for (let y = 0; y < height; y++) {
+                modules[top + y][left] = true;                   // Solid left edge
+                modules[top + y][left + width - 1] = y % 2 === 1; // Alternating right edge
+            }
+
+            for (let y = 0; y < symbol.regionRows; y++) {
+                for (let x = 0; x < symbol.regionCols; x++) {
+                    modules[top + 1 + y][left + 1 + x] =
+                        mapping[rv * symbol.regionRows + y][rh * symbol.regionCols + x];
+                }
+            }
+        }
+    }
+
+    return modules;
+}
+
+// ===========================================
+// Public API
+// ===========================================
+
+/**
+ * Encode data as a Data Matrix ECC 200 symbol
+ * @param {Array<number|{ codeword: number }>} items - Bytes (0-255) and special codewords such as FNC1
+ * @param {Object} [options]
+ * @param {number} [options.rows] - Requested symbol rows
+ * @param {number} [options.cols] - Requested symbol columns
+ * @param {boolean} [options.rectangular=false] - Prefer rectangular symbols
+ * @returns {{ rows: number, cols: number, modules: boolean[][] }} Module matrix (true = dark)
+ */
+export function encodeDataMatrix(items, { rows, cols, rectangular = false } = {}) {
+    const data = encodeCodewords(items);
+
+    let candidates;
+    if (rows || cols) {
+        candidates = SYMBOLS.filter(s => s.rows === (rows || cols) && s.cols === (cols || rows));
+        if (candidates.length === 0) {
+            throw new Error(`Invalid Data Matrix size: ${rows || cols} x ${cols || rows}`);
+        }
+    } else {
+        const square = SYMBOLS.filter(s => s.rows === s.cols);
+        candidates = rectangular ? SYMBOLS.filter(s => s.rows !== s.cols).concat(square) : square;
+    }
+
+    const symbol = candidates.find(s => s.dataCodewords >= data.length);
+    if (!symbol) {
+        throw new Error('Data Matrix data too long for symbol size');
+    }
+
+    // Pad the remaining data capacity (253-state randomized after the first pad)
+    if (data.length < symbol.dataCodewords) {
+        data.push(PAD);
+    }
+    while (data.length < symbol.dataCodewords) {
+        const pseudo = ((149 * (data.length + 1)) % 253) + 1;
+        const value = PAD + pseudo;
+        data.push(value > 254 ? value - 254 : value);
+    }
+
+    const codewords = addErrorCorrection(data, symbol);
+    const regionsV = symbol.rows / (symbol.regionRows + 2);
+    const regionsH = symbol.cols / (symbol.regionCols + 2);
+    const mapping = placeCodewords(codewords, regionsV * symbol.regionRows, regionsH * symbol.regionCols);
+
+    return { rows: symbol.rows, cols: symbol.cols, modules: buildSymbol(mapping, symbol) };
+}
@@ -0,0 +1,265 @@
+/**
+ * EAN/UPC encoder
+ *
+ * Encodes EAN-13, EAN-8, UPC-A and UPC-E symbols with their check digit,
+ * and describes the guard bars and digit groups of the interpretation line.
+ */
+
+// Space/bar widths of the odd parity (L) digit patterns
+const DIGIT_WIDTHS = [
+    '3211', '2221', '2122', '1411', '1132',
+    '1231', '1114', '1312', '1213', '3112'
+];
+
+// Left-half parity per EAN-13 leading digit (L = odd, G = even)
+const EAN13_PARITY = [
+    'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG',
+    'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'
+];
+
+// UPC-E parity per check digit for number system 0 (number system 1 is inverted)
+const UPCE_PARITY = [
+    'GGGLLL', 'GGLGLL', 'GGLLGL', 'GGLLLG', 'GLGGLL',
+    'GLLGGL', 'GLLLGG', 'GLGLGL', 'GLGLLG', 'GLLGLG'
+];
+
+const START_GUARD = '101';
+const CENTER_GUARD = '01010';
+const END_GUARD = '101';
+const UPCE_END_GUARD = '010101';
+
+/**
+ * Calculate a GS1 mod 10 check digit
+ * @param {string} digits - Numeric string without check digit
+ * @returns {string} Check digit
+ */
+export function mod10CheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        const digit = digits.charCodeAt(digits.length - 1 - i) - 48;
+        sum += i % 2 === 0 ? digit * 3 : digit;
+    }
+    return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Get the modules of one digit in character set L, G or R
+ */
+function digitModules(digit, set) {
+    const widths = [...DIGIT_WIDTHS[digit]];
+    if (set === 'G') widths.reverse();
+    const barIndex = set === 'R' ? 0 : 1;
+    return widths.map((w, i) => (i % 2 === barIndex ? '1' : '0').repeat(Number(w))).join('');
+}
+
+/**
+ * Normalize numeric field data to a fixed number of digits
+ * Shorter data is padded with leading zeros, longer data is cut.
+ */
+function normalizeDigits(data, length, name) {
+    if (!/^\d+$/.test(data)) {
+        throw new Error(`${name} field data must be numeric`);
+    }
+    return data.padStart(length, '0').slice(0, length);
+}
+
+/**
+ * Convert a module string to bar/space widths with guard flags
+ * @param {Array<{ modules: string, guard: boolean }>} parts
+ * @returns {{ modules: number[], guards: boolean[] }}
+ */
+function buildSymbol(parts) {
+    const modules = [];
+    const guards = [];
+    let last = '0';
+    for (const { modules: bits, guard } of parts) {
+        for (const bit of bits) {
+            if (bit === last) {
+                modules[modules.length - 1]++;
+            } else {
+                modules.push(1);
+                guards.push(guard);
+                last = bit;
+            }
+        }
+    }
+    return { modules, guards };
+}
+
+/**
+ * Encode an EAN-13 symbol
+ * @param {string} data - 12 digits (the check digit is calculated)
+ * @returns {{ modules: number[], guards: boolean[], digits: Array<{ text: string, start: number, end: number }> }}
+ *   Bar/space widths in modules (starting with a bar), a flag per element for
+ *   bars extended into the interpretation line, and digit groups with their
+ *   module range relative to the first bar
+ */
+export function encodeEAN13(data) {
+    const body = normalizeDigits(data, 12, 'EAN-13');
+    const digits = body + mod10CheckDigit(body);
+    const parity = EAN13_PARITY[digits[0]];
+
+    const symbol = buildSymbol([
+        { modules: START_GUARD, guard: true },
+        { modules: [...digits.slice(1, 7)].map((d, i) => digitModules(d, parity[i])).join(''), guard: false },
+        { modules: CENTER_GUARD, guard: true },
+        { modules: [...digits.slice(7)].map(d => digitModules(d, 'R')).join(''), guard: false },
+        { modules: END_GUARD, guard: true }
+    ]);
+
+    symbol.digits = [
+        { text: digits[0], start: -7, end: -1 },
+        { text: digits.slice(1, 7), start: 3, end: 45 },
+        { text: digits.slice(7), start: 50, end: 92 }
+    ];
+    return symbol;
+}
+
+/**
+ * Encode an EAN-8 symbol
+ * @param {string} data - 7 digits (the check digit is calculated)
+ * @returns {{ modules: number[], guards: boolean[], digits: Array<{ text: string, start: number, end: number }> }}
+ */
+export function encodeEAN8(data) {
+    const body = normalizeDigits(data, 7, 'EAN-8');
+    const digits = body + mod10CheckDigit(body);
+
+    const symbol = buildSymbol([
+        { modules: START_GUARD, guard: true },
+        { modules: [...digits.slice(0, 4)].map(d => digitModules(d, 'L')).join(''), guard: false },
+        { modules: CENTER_GUARD, guard: true },
+        { modules: [...digits.slice(4)].map(d => digitModules(d, 'R')).join(''), guard: false },
+        { modules: END_GUARD, guard: true }
+    ]);
+
+    symbol.digits = [
+        { text: digits.slice(0, 4), start: 3, end: 31 },
+        { text: digits.slice(4), start: 36, end: 64 }
+    ];
+    return symbol;
+}
+
+/**
+ * Encode a UPC-A symbol
+ * The number system and check digits have full-length bars and print
+ * outside the symbol.
+ * @param {string} data - 11 digits (the check digit is calculated)
+ * @param {Object} [options]
+ * @param {boolean} [options.printCheckDigit=true] - Show the check digit in the interpretation line
+ * @returns {{ modules: number[], guards: boolean[], digits: Array<{ text: string, start: number, end: number }> }}
+ */
+export function encodeUPCA(data, { printCheckDigit = true } = {}) {
+    const body = normalizeDigits(data, 11, 'UPC-A');
+    const digits = body + mod10CheckDigit(body);
+
+    const symbol = buildSymbol([
+        { modules: START_GUARD + digitModules(digits[0], 'L'), guard: true },
+        { modules: [...digits.slice(1, 6)].map(d => digitModules(d, 'L')).join(''), guard: false },
+        { modules: CENTER_GUARD, guard: true },
+        { modules: [...digits.slice(6, 11)].map(d => digitModules(d, 'R')).join(''), guard: false },
+        { modules: digitModules(digits[11], 'R') + END_GUARD, guard: true }
+    ]);
+
+    symbol.digits = [
+        { text: digits[0], start: -7, end: -1 },
+        { text: digits.slice(1, 6), start: 10, end: 45 },
+        { text: digits.slice(6, 11), start: 50, end: 85 }
+    ];
+    if (printCheckDigit) {
+        symbol.digits.push({ text: digits[11], start: 96, end: 102 });
+    }
+    return symbol;
+}
+
+/**
+ * Zero-suppress a UPC-A number (without check digit) to the 6 UPC-E digits
+ */
+function compressUPCA(upca) {
+    const manufacturer = upca.slice(1, 6);
+    const product = upca.slice(6, 11);
+
+    if (/^[012]$/.test(manufacturer[2]) && manufacturer.endsWith('00') && product.startsWith('00')) {
+        return manufacturer.slice(0, 2) + product.slice(2) + manufacturer[2];
+    }
+    if (manufacturer.endsWith('00') && product.startsWith('000')) {
+        return manufacturer.slice(0, 3) + product.slice(3) + '3';
+    }
+    if (manufacturer.endsWith('0') && product.startsWith('0000')) {
+        return manufacturer.slice(0, 4) + product[4] + '4';
+    }
+    if (product.startsWith('0000') && product[4] >= '5') {
+        return manufacturer + product[4];
+    }
+    throw new Error(`UPC-A number ${upca} cannot be zero-suppressed to UPC-E`);
+}
+
+/**
+ * Expand the 6 UPC-E digits to the UPC-A number (without check digit)
+ */
+function expandUPCE(numberSystem, body) {
+    const last = body[5];
+    if (last <= '2') {
+        return numberSystem + body.slice(0, 2) + last + '0000' + body.slice(2, 5);
+    }
+    if (last === '3') {
+        return numberSystem + body.slice(0, 3) + '00000' + body.slice(3, 5);
+    }
+    if (last === '4') {
+        return numberSystem + body.slice(0, 4) + '00000' + body[4];
+    }
+    return numberSystem + body.slice(0, 5) + '0000' + last;
+}
+
+/**
+ * Encode a UPC-E symbol
+ * Field data is either the 6 UPC-E digits, optionally after the number
+ * system (0 or 1) and followed by the check digit (7 or 8 digits), or the
+ * UPC-A manufacturer and product numbers (10 digits, or 11 with a leading
+ * number system), which are zero-suppressed. A given check digit must match.
+ * @param {string} data - Field data
+ * @param {Object} [options]
+ * @param {boolean} [options.printCheckDigit=true] - Show the check digit in the interpretation line
+ * @returns {{ modules: number[], guards: boolean[], digits: Array<{ text: string, start: number, end: number }> }}
+ */
+export function encodeUPCE(data, { printCheckDigit = true } = {}) {
+    if (!/^\d+$/.test(data)) {
+        throw new Error('UPC-E field data must be numeric');
+    }
+
+    let numberSystem = '0';
+    let body;
+    if (data.length <= 6) {
+        body = data.padStart(6, '0');
+    } else {
+        const upca = data.length === 10 ? '0' + data : data.slice(0, 11).padStart(11, '0');
+        numberSystem = data.length <= 8 ? data[0] : upca[0];
+        if (numberSystem > '1') {
+            throw new Error('UPC-E number system must be 0 or 1');
+        }
+        body = data.length <= 8 ? data.slice(1, 7) : compressUPCA(upca);
+    }
+
+    const check = mod10CheckDigit(expandUPCE(numberSystem, body));
+    if (data.length === 8 && data[7] !== check) {
+        throw new Error(`UPC-E check digit ${data[7]} does not match ${check}`);
+    }
+    let parity = UPCE_PARITY[check];
+    if (numberSystem === '1') {
+        parity = parity.replace(/[LG]/g, set => (set === 'L' ? 'G' : 'L'));
+    }
+
+    const symbol = buildSymbol([
+        { modules: START_GUARD, guard: true },
+        { modules: [...body].map((d, i) => digitModules(d, parity[i])).join(''), guard: false },
+        { modules: UPCE_END_GUARD, guard: true }
+    ]);
+
+    symbol.digits = [
+        { text: numberSystem, start: -7, end: -1 },
+        { text: body, start: 3, end: 45 }
+    ];
+    if (printCheckDigit) {
+        symbol.digits.push({ text: check, start: 52, end: 58 });
+    }
+    return symbol;
+}
@@ -0,0 +1,49 @@
+/**
+ * Interleaved 2 of 5 encoder
+ *
+ * Encodes digit pairs, the first digit in the bars and the second in the
+ * spaces, with an optional mod 10 check digit.
+ */
+
+import { mod10CheckDigit } from './ean.js';
+
+// Wide elements of each digit (5 elements)
+const PATTERNS = [
+    'nnwwn', 'wnnnw', 'nwnnw', 'wwnnn', 'nnwnw',
+    'wnwnn', 'nwwnn', 'nnnww', 'wnnwn', 'nwnwn'
+];
+
+const START = [false, false, false, false];
+const STOP = [true, false, false];
+
+/**
+ * Encode data as Interleaved 2 of 5
+ * An odd number of digits gets a leading zero.
+ * @param {string} data - Numeric field data
+ * @param {Object} [options]
+ * @param {boolean} [options.checkDigit=false] - Append a mod 10 check digit
+ * @returns {{ wide: boolean[], text: string }} Wide flags per element (starting
+ *   with a bar) and the human-readable interpretation line
+ */
+export function encodeInterleaved2of5(data, { checkDigit = false } = {}) {
+    if (!/^\d+$/.test(data)) {
+        throw new Error('Interleaved 2 of 5 field data must be numeric');
+    }
+
+    let digits = checkDigit ? data + mod10CheckDigit(data) : data;
+    if (digits.length % 2 === 1) {
+        digits = '0' + digits;
+    }
+
+    const wide = [...START];
+    for (let i = 0; i < digits.length; i += 2) {
+        const bars = PATTERNS[digits[i]];
+        const spaces = PATTERNS[digits[i + 1]];
+        for (let j = 0; j < 5; j++) {
+            wide.push(bars[j] === 'w', spaces[j] === 'w');
+        }
+    }
+    wide.push(...STOP);
+
+    return { wide, text: digits };
+}
@@ -0,0 +1,534 @@
+/**
+ * PDF417 encoder
+ *
+ * Encodes data with text, numeric and byte compaction, adds Reed-Solomon
+ * error correction (security levels 0-8) and lays the codewords out in
+ * rows, optionally truncated (compact PDF417).
+ */
+
+// Mode latches and shifts
+const LATCH_TEXT = 900;
+const LATCH_BYTE = 901;
+const LATCH_NUMERIC = 902;
+const SHIFT_BYTE = 913;
+const LATCH_BYTE_6 = 924;
+const PAD = 900;
+
+// Text compaction submodes
+const ALPHA = 0;
+const LOWER = 1;
+const MIXED = 2;
+const PUNCTUATION = 3;
+
+// Submode latch/shift values
+const LL = 27;
+const ML = 28;
+const PS = 29;
+const AL = 28;
+const AS = 27;
+const PL = 25;
+const PUNCTUATION_AL = 29;
+
+// Characters of the mixed and punctuation submodes, indexed by value
+const MIXED_CHARS = '0123456789&\r\t,:#-.$/+%*=^';
+const PUNCTUATION_CHARS = ';<>@[\\]_`~!\r\t,:\n-.$/"|*()?{}\'';
+
+const START_PATTERN = [8, 1, 1, 1, 1, 1, 1, 3];
+const STOP_PATTERN = [7, 1, 1, 3, 1, 1, 1, 2, 1];
+
+// Codeword bar/space patterns per cluster (0, 3, 6), 4 hex digits per codeword.
+// Every pattern is 17 modules starting with a bar, so bit 16 is implied.
+const CLUSTER_PATTERNS = [
+    // Cluster 0
+    'd5c0eaf0f57cd4e0ea78f53ea8c0d470a8605040a8305020adc0d6f0eb7cace0d678eb3e58c0ac7058605dc0aef0d77c' +
+    '5ce0ae78d73e5c70ae3c5ef0af7c5e78af3e5f7cf5fad2e0e978f4bea4c0d270e93ca460d2384840a430d21c4820a418' +
+    '4810a6e0d378e9be4cc0a670d33c4c60a638d31e4c30a61c4ee0a778d3be4e70a73c4e38a71e4f78a7be4f3c4f1ea2c0' +
+    'd170e8bca260d138e89e4440a230d11c4420a2184410440846c0a370d1bc4660a338d19e4630a31c4618460c4770a3bc' +
+    '4738a39e471c47bca160d0b8e85e4240a130d09c4220a118d08e4210a10c4208a1064360a1b8d0de4330a19c4318a18e' +
+    '430c4306a1de438e4140a0b0d05c4120a098d04e4110a08c4108a086410441b04198418c40a0d02ea04ca0464082cae0' +
+    'e578f2be94c0ca70e53c9460ca38e51e28409430282096e0cb78e5be2cc09670cb3c2c6096382c302c182ee09778cbbe' +
+    '2e70973c2e382e1c2f7897be2f3c2fbedac0ed70f6bcda60ed38f69eb440da30ed1cb420da18ed0eb410da0c92c0c970' +
+    'e4bcb6c09260c938e49eb660db38ed9e6c4024209218c90e6c20b6186c1026c09370c9bc6ec026609338c99e6e60b738' +
+    'db9e6e3026186e18277093bc6f702738939e6f38b79e6f1c27bc6fbc279e6f9ed960ecb8f65eb240d930ec9cb220d918' +
+    'ec8eb210d90cb208b2049160c8b8e45eb3609130c89c66402220d99cc88e66202210910c6610b30c91062204236091b8' +
+    'c8de67602330919c6730b39c918e6718230c230623b891de67b8239c679c238e678e67deb140d8b0ec5cb120d898ec4e' +
+    'b110d88cb108d886b104b102214090b0c85c634021209098c84e6320b198d8ce6310210890866308b186630421b090dc' +
+    '63b0219890ce6398b1ce638c2186638663dc63ceb0a0d858ec2eb090d84cb088d846b084b08220a09058c82e61a02090' +
+    '904c6190b0cc9046618820846184208220d861d861cc61c6d82cd826b042902c204860c860c460c28ac0c570e2bc8a60' +
+    'c53814408a30c51c14208a181410140816c08b70c5bc16608b38c59e16308b1c1618160c17708bbc17388b9e171c17bc' +
+    '179ecd60e6b8f35e9a40cd30e69c9a20cd18e68e9a10cd0c9a08cd068960c4b8e25e9b608930c49c36401220cd9cc48e' +
+    '36209b18890c361012083608136089b8c4de37601330cdde37309b9c898e3718130c370c13b889de37b8139c379c138e' +
+    '13de37dedd40eeb0f75cdd20ee98f74edd10ee8cdd08ee86dd049940ccb0e65cbb409920eedce64ebb20dd98eecebb10' +
+    '9908cc86bb08dd869902114088b0c45c334011208898c44e774033209998ccce7720bb98ddce88867710330899867708' +
+    '110211b088dc33b0119888ce77b0339899ce7798bbce1186338611dc33dc11ce77dc33cedca0ee58f72edc90ee4cdc88' +
+    'ee46dc84dc8298a0cc58e62eb9a09890ee6eb990dccccc46b9889884b9849882b98210a08858c42e31a01090884c73a0' +
+    '319098cc88467390b9cc1084738831841082318210d8886e31d810cc73d831cc10c673cc31c610ee73eedc50ee2cdc48' +
+    'ee26dc44dc429850cc2cb8d09848cc26b8c8dc66b8c49842b8c21050882c30d01048882671d030c8986671c8b8e61042' +
+    '71c430c271c230ec71ec71e6ee16dc22cc16982498221028306870e81022306285600a4085300a208518c28e0a10850c' +
+    '0a0885060b6085b8c2de0b30859c0b18858e0b0c0b060bb885de0b9c0b8e0bde8d40c6b0e35c8d20c6988d10c68c8d08' +
+    'c6868d04094084b0c25c1b400920c6dcc24e1b208d98c6ce1b10090884861b088d86090209b084dc1bb0099884ce1b98' +
+    '8dce1b8c098609dc1bdc09ce1bcecea0e758f3aece90e74cce88e746ce84ce828ca0c6589da08c90c64c9d90ceccc646' +
+    '9d888c849d848c829d8208a0845819a00890c66e3ba019908ccc84463b909dcc08843b8819840882198208d8846e19d8' +
+    '08cc3bd819cc08c63bcc19c608ee19ee3beeef50f7acef48f7a6ef44ef42ce50e72cded0ef6ce726dec8ef66dec4ce42' +
+    'dec28c50c62c9cd08c48c626bdd09cc8ce66bdc8dee68c42bdc49cc2bdc20850842c18d00848842639d018c88c667bd0' +
+    '39c89ce608427bc8bde618c27bc4086c18ec086639ec18e67bec39e67be6ef28f796ef24ef22ce28e716de68ef36de64' +
+    'ce22de628c28c6169c688c24bce89c648c22bce49c62bce20828841618688c3638e81864082279e838e4186279e438e2' +
+    '79e2187679f6ef12de34de329c34bc74bc721834387478f478f205400520829805100508050405b00598058c058605dc' +
+    '05ce86a08690c34c8688c3468684868204a082580da086d8824c0d9086cc0d8886c60d8404820d8204d8826e0dd886ee' +
+    '0dcc04c60dc604ee0deec750c748c744c74286508ed0c76cc3268ec8c7668ec486428ec204500cd0044882261dd00cc8' +
+    '04441dc80cc404421dc40cc2046c0cec04661dec0ce61de6e7a8e7a4e7a2c728cf68e7b6cf64c722cf628628c3168e68' +
+    'c7369ee88e6486229ee48e629ee2042882160c6886361ce80c6404223de81ce40c623de41ce204360c761cf63df6f7d4' +
+    'f7d2e794efb4e792efb2c714cf34c712df74cf32df7286148e3486129e748e32bef4',
+    // Cluster 3
+    'f560fab8ea40f530fa9cea20f518fa8eea10f50cea08f506ea04eb60f5b8faded640eb30f59cd620eb18f58ed610eb0c' +
+    'd608eb06d604d760ebb8f5deae40d730eb9cae20d718eb8eae10d70cae08d706ae04af60d7b8ebde5e40af30d79c5e20' +
+    'af18d78e5e10af0c5e08af065f60afb8d7de5f30af9c5f18af8e5f0c5fb8afde5f9c5f8ee940f4b0fa5ce920f498fa4e' +
+    'e910f48ce908f486e904e902d340e9b0f4dcd320e998f4ced310e98cd308e986d304d302a740d3b0e9dca720d398e9ce' +
+    'a710d38ca708d386a704a7024f40a7b0d3dc4f20a798d3ce4f10a78c4f08a7864f044fb0a7dc4f98a7ce4f8c4f864fdc' +
+    '4fcee8a0f458fa2ee890f44ce888f446e884e882d1a0e8d8f46ed190e8ccd188e8c6d184d182a3a0d1d8e8eea390d1cc' +
+    'a388d1c6a384a38247a0a3d8d1ee4790a3cc4788a3c64784478247d8a3ee47cc47c647eee850f42ce848f426e844e842' +
+    'd0d0e86cd0c8e866d0c4d0c2a1d0d0eca1c8d0e6a1c4a1c243d0a1ec43c8a1e643c443c243ec43e6e828f416e824e822' +
+    'd068e836d064d062a0e8d076a0e4a0e241e8a0f641e441e2e814e812d034d032a074a072e540f2b0f95ce520f298f94e' +
+    'e510f28ce508f286e504e502cb40e5b0f2dccb20e598f2cecb10e58ccb08e586cb04cb029740cbb0e5dc9720cb98e5ce' +
+    '9710cb8c9708cb86970497022f4097b0cbdc2f209798cbce2f10978c2f0897862f042fb097dc2f9897ce2f8c2f862fdc' +
+    '2fcef6a0fb586bf0f690fb4c69f8f688fb4668fcf684f682e4a0f258f92eeda0e490fb6eed90f6ccf246ed88e484ed84' +
+    'e482ed82c9a0e4d8f26edba0c990e4ccdb90edcce4c6db88c984db84c982db8293a0c9d8e4eeb7a09390c9ccb790dbcc' +
+    'c9c6b7889384b7849382b78227a093d8c9ee6fa0279093cc6f90b7cc93c66f8827846f84278227d893ee6fd827cc6fcc' +
+    '27c66fc627eef650fb2c65f8f648fb2664fcf644647ef642e450f22cecd0e448f226ecc8f666ecc4e442ecc2c8d0e46c' +
+    'd9d0c8c8e466d9c8ece6d9c4c8c2d9c291d0c8ecb3d091c8c8e6b3c8d9e6b3c491c2b3c223d091ec67d023c891e667c8' +
+    'b3e667c423c267c223ec67ec23e667e6f628fb1662fcf624627ef622e428f216ec68f636ec64e422ec62c868e436d8e8' +
+    'c864d8e4c862d8e290e8c876b1e8d8f6b1e490e2b1e221e890f663e821e463e421e263e221f663f6f614617ef612e414' +
+    'ec34e412ec32c834d874c832d8729074b0f49072b0f220f461f420f261f2f60ae40aec1ac81ad83a903ab07ae2a0f158' +
+    'f8aee290f14ce288f146e284e282c5a0e2d8f16ec590e2ccc588e2c6c584c5828ba0c5d8e2ee8b90c5cc8b88c5c68b84' +
+    '8b8217a08bd8c5ee17908bcc17888bc61784178217d88bee17cc17c617eef350f9ac35f8f348f9a634fcf344347ef342' +
+    'e250f12ce6d0e248f126e6c8f366e6c4e242e6c2c4d0e26ccdd0c4c8e266cdc8e6e6cdc4c4c2cdc289d0c4ec9bd089c8' +
+    'c4e69bc8cde69bc489c29bc213d089ec37d013c889e637c89be637c413c237c213ec37ec13e637e6fba875f0bafcfba4' +
+    '74f8ba7efba2747c743ef328f99632fcf768fbb676fc327ef764f322767ef762e228f116e668e224eee8f776e222eee4' +
+    'e662eee2c468e236cce8c464dde8cce4c462dde4cce2dde288e8c47699e888e4bbe899e488e2bbe499e2bbe211e888f6' +
+    '33e811e477e833e411e277e433e277e211f633f6fb9472f8b97efb92727c723ef314317ef734f312737ef732e214e634' +
+    'e212ee74e632ee72c434cc74c432dcf4cc72dcf2887498f48872b9f498f2b9f210f431f410f273f431f273f2fb8a717c' +
+    '713ef30af71ae20ae61aee3ac41acc3adc7a883a987ab8fa107a30fa71fa70bee150f0ace148f0a6e144e142c2d0e16c' +
+    'c2c8e166c2c4c2c285d0c2ec85c8c2e685c485c20bd085ec0bc885e60bc40bc20bec0be6f1a8f8d61afcf1a41a7ef1a2' +
+    'e128f096e368e124e364e122e362c268e136c6e8c264c6e4c262c6e284e8c2768de884e48de484e28de209e884f61be8' +
+    '09e41be409e21be209f61bf6f9d43af89d7ef9d23a7c3a3ef194197ef3b4f1923b7ef3b2e114e334e112e774e332e772' +
+    'c234c674c232cef4c672cef284748cf484729df48cf29df208f419f408f23bf419f23bf27af0bd7c7a78bd3e7a3c7a1e' +
+    'f9ca397cfbda7b7c393e7b3ef18af39af7bae10ae31ae73aef7ac21ac63ace7adefa843a8c7a9cfabdfa087a18fa39fa' +
+    '7978bcbe793c791e38be79be78bc789e785ee0a8e0a4e0a2c168e0b6c164c16282e8c17682e482e205e882f605e405e2' +
+    '05f6f0d40d7ef0d2e094e1b4e092e1b2c134c374c132c372827486f4827286f204f40df404f20df2f8ea1d7c1d3ef0ca' +
+    'f1dae08ae19ae3bac11ac33ac77a823a867a8efa047a0cfa1dfa3d789ebe3d3c3d1e1cbe3dbe7d70bebc7d38be9e7d1c' +
+    '7d0e3cbc7dbc3c9e7d9e7cb8be5e7c9c7c8e3c5e7cde7c5c7c4e7c2ec0b4c0b28174817202f402f2e0dac09ac1ba813a' +
+    '837a027a06fa0ebe1ebc1e9e3eb89f5e3e9c3e8e1e5e3ede7eb0bf5c7e98bf4e7e8c7e863e5c7edc3e4e7ece7e58bf2e' +
+    '7e4c7e463e2e7e6e7e2c7e260f5e1f5c1f4e3f589fae3f4c3f461f2e3f6e3f2c3f26',
+    // Cluster 6
+    'abe0d5f853c0a9f0d4fc51e0a8f8d47e50f0a87c5078fad05be0adf8fac859f0acfcfac458f8ac7efac2587cf5d0faec' +
+    '5df8f5c8fae65cfcf5c45c7ef5c2ebd0f5ecebc8f5e6ebc4ebc2d7d0ebecd7c8ebe6d7c4d7c2afd0d7ecafc8d7e6afc4' +
+    '4bc0a5f0d2fc49e0a4f8d27e48f0a47c4878a43e483cfa684df0a6fcfa644cf8a67efa624c7c4c3ef4e8fa764efcf4e4' +
+    '4e7ef4e2e9e8f4f6e9e4e9e2d3e8e9f6d3e4d3e2a7e8d3f6a7e4a7e245e0a2f8d17e44f0a27c4478a23e443c441efa34' +
+    '46f8a37efa32467c463ef474477ef472e8f4e8f2d1f4d1f2a3f4a3f242f0a17c4278a13e423c421efa1a437c433ef43a' +
+    'e87ad0fa4178a0be413c411e41be40bc409e2bc095f0cafc29e094f8ca7e28f0947c2878943e283cf9682df096fcf964' +
+    '2cf8967ef9622c7c2c3ef2e8f9762efcf2e42e7ef2e2e5e8f2f6e5e4e5e2cbe8e5f6cbe4cbe297e8cbf697e497e2b5e0' +
+    'daf8ed7e69c0b4f0da7c68e0b478da3e6870b43c6838b41e681c25e092f8c97e6de024f0927c6cf0b67c923e6c78243c' +
+    '6c3c241e6c1ef93426f8937efb74f9326ef8267cfb726e7c263e6e3ef274277ef6f4f2726f7ef6f2e4f4edf4e4f2edf2' +
+    'c9f4dbf4c9f2dbf293f493f265c0b2f0d97c64e0b278d93e6470b23c6438b21e641c640e22f0917c66f02278913e6678' +
+    'b33e663c221e661ef91a237cfb3a677c233e673ef23af67ae47aecfac8fad9fa91fa62e0b178d8be6270b13c6238b11e' +
+    '621c620e217890be6378213c633c211e631e21be63be6170b0bc6138b09e611c610e20bc61bc209e619e60b8b05e609c' +
+    '608e205e60de605c604e15e08af8c57e14f08a7c14788a3e143c141ef8b416f88b7ef8b2167c163ef174177ef172e2f4' +
+    'e2f2c5f4c5f28bf48bf235c09af0cd7c34e09a78cd3e34709a3c34389a1e341c340e12f0897c36f01278893e36789b3e' +
+    '363c121e361ef89a137cf9ba377c133e373ef13af37ae27ae6fac4facdfa89fabae0dd78eebe74c0ba70dd3c7460ba38' +
+    'dd1e7430ba1c7418ba0e740c32e09978ccbe76e03270993c7670bb3c991e7638321c761c320e760e117888be3378113c' +
+    '7778333c111e773c331e771e11be33be77be72c0b970dcbc7260b938dc9e7230b91c7218b90e720c7206317098bc7370' +
+    '3138989e7338b99e731c310e730e10bc31bc109e73bc319e739e7160b8b8dc5e7130b89c7118b88e710c710630b8985e' +
+    '71b8309c719c308e718e105e30de71de70b0b85c7098b84e708c7086305c70dc304e70ce7058b82e704c7046302e706e' +
+    '702c70260af0857c0a78853e0a3c0a1e0b7c0b3ef0bae17ac2fa85fa1ae08d78c6be1a708d3c1a388d1e1a1c1a0e0978' +
+    '84be1b78093c1b3c091e1b1e09be1bbe3ac09d70cebc3a609d38ce9e3a309d1c3a189d0e3a0c3a0619708cbc3b701938' +
+    '8c9e3b38191c3b1c190e3b0e08bc19bc089e3bbc199e3b9ebd60deb8ef5e7a40bd30de9c7a20bd18de8e7a10bd0c7a08' +
+    'bd067a0439609cb8ce5e7b6039309c9c7b30bd9c9c8e7b18390c7b0c39067b0618b88c5e39b8189c7bb8399c188e7b9c' +
+    '398e7b8e085e18de39de7bde7940bcb0de5c7920bc98de4e7910bc8c7908bc867904790238b09c5c79b038989c4e7998' +
+    'bcce798c38867986185c38dc184e79dc38ce79ce78a0bc58de2e7890bc4c7888bc467884788238589c2e78d8384c78cc' +
+    '384678c6182e386e78ee7850bc2c7848bc2678447842382c786c382678667828bc167824782238167836057882be053c' +
+    '051e05be0d7086bc0d38869e0d1c0d0e04bc0dbc049e0d9e1d608eb8c75e1d308e9c1d188e8e1d0c1d060cb8865e1db8' +
+    '0c9c1d9c0c8e1d8e045e0cde1dde3d409eb0cf5c3d209e98cf4e3d109e8c3d089e863d043d021cb08e5c3db01c988e4e' +
+    '3d989ece3d8c1c863d860c5c1cdc0c4e3ddc1cce3dcebea0df58efaebe90df4cbe88df46be84be823ca09e58cf2e7da0' +
+    '3c909e4c7d90becc9e467d883c847d843c827d821c588e2e3cd81c4c7dd83ccc1c467dcc3cc67dc60c2e1c6e3cee7dee' +
+    'be50df2cbe48df26be44be423c509e2c7cd03c489e267cc8be667cc43c427cc21c2c3c6c1c267cec3c667ce6be28df16' +
+    'be24be223c289e167c683c247c643c227c621c163c367c76be14be123c147c343c127c3202bc029e06b8835e069c068e' +
+    '025e06de0eb0875c0e98874e0e8c0e86065c0edc064e0ece1ea08f58c7ae1e908f4c1e888f461e841e820e58872e1ed8' +
+    '8f6e1ecc0e461ec6062e0e6e1eee9f50cfac9f48cfa69f449f421e508f2c3ed09f6c8f263ec81e443ec41e423ec20e2c' +
+    '1e6c0e263eec1e663ee6dfa8efd6dfa4dfa29f28cf96bf689f24bf649f22bf621e288f163e681e247ee83e641e227ee4' +
+    '3e627ee20e161e363e767ef6df94df929f14bf349f12bf321e143e341e127e743e327e72df8a9f0abf1a1e0a3e1a7e3a' +
+    '035c034e075883ae074c0746032e076e0f5087ac0f4887a60f440f42072c0f6c07260f668fa8c7d68fa48fa20f288796' +
+    '1f688fb61f640f221f6207160f361f76cfd4cfd28f949fb48f929fb20f141f340f123f741f323f72cfca8f8a9f9a0f0a' +
+    '1f1a3f3a03ac03a607a883d607a407a2039607b687d487d207940fb407920fb2c7ea'
+].map(hex => {
+    const patterns = new Array(hex.length / 4);
+    for (let i = 0; i < patterns.length; i++) {
+        patterns[i] = parseInt(hex.substr(i * 4, 4), 16) | 0x10000;
+    }
+    return patterns;
+});
+
+// ===========================================
+// Character classes
+// ===========================================
+
+function isDigit(c) {
+    return c >= 48 && c <= 57;
+}
+
+function isAlphaUpper(c) {
+    return c === 32 || (c >= 65 && c <= 90);
+}
+
+function isAlphaLower(c) {
+    return c === 32 || (c >= 97 && c <= 122);
+}
+
+function isMixed(c) {
+    return c === 32 || MIXED_CHARS.includes(String.fromCharCode(c));
+}
+
+function isPunctuation(c) {
+    return PUNCTUATION_CHARS.includes(String.fromCharCode(c));
+}
+
+function isText(c) {
+    return c === 9 || c === 10 || c === 13 || (c >= 32 && c <= 126);
+}
+
+// ===========================================
+// High-level encoding
+// ===========================================
+
+/**
+ * Encode bytes with text compaction
+ * @returns {number} Text submode at the end of the run
+ */
+function encodeText(bytes, start, count, codewords, initialSubmode) {
+    const values = [];
+    let submode = initialSubmode;
+    let i = 0;
+
+    while (i < count) {
+        const c = bytes[start + i];
+        const next = start + i + 1 < bytes.length ? bytes[start + i + 1] : -1;
+
+        if (submode === ALPHA) {
+            if (isAlphaUpper(c)) {
+                values.push(c === 32 ? 26 : c - 65);
+            } else if (isAlphaLower(c)) {
+                submode = LOWER;
+                values.push(LL);
+                continue;
+            } else if (isMixed(c)) {
+                submode = MIXED;
+                values.push(ML);
+                continue;
+            } else {
+                values.push(PS, PUNCTUATION_CHARS.indexOf(String.fromCharCode(c)));
+            }
+        } else if (submode === LOWER) {
+            if (isAlphaLower(c)) {
+                values.push(c === 32 ? 26 : c - 97);
+            } else if (isAlphaUpper(c)) {
+                values.push(AS, c - 65);
+            } else if (isMixed(c)) {
+                submode = MIXED;
+                values.push(ML);
+                continue;
+            } else {
+                values.push(PS, PUNCTUATION_CHARS.indexOf(String.fromCharCode(c)));
+            }
+        } else if (submode === MIXED) {
+            if (isMixed(c)) {
+                values.push(c === 32 ? 26 : MIXED_CHARS.indexOf(String.fromCharCode(c)));
+            } else if (isAlphaUpper(c)) {
+                submode = ALPHA;
+                values.push(AL);
+                continue;
+            } else if (isAlphaLower(c)) {
+                submode = LOWER;
+                values.push(LL);
+                continue;
+            } else if (i + 1 < count && isPunctuation(next)) {
+                submode = PUNCTUATION;
+                values.push(PL);
+                continue;
+            } else {
+                values.push(PS, PUNCTUATION_CHARS.indexOf(String.fromCharCode(c)));
+            }
+        } else {
+            if (isPunctuation(c)) {
+                values.push(PUNCTUATION_CHARS.indexOf(String.fromCharCode(c)));
+            } else {
+                submode = ALPHA;
+                values.push(PUNCTUATION_AL);
+                continue;
+            }
+        }
+        i++;
+    }
+
+    // Two values per codeword, padding an odd count with PS
+    for (let v = 0; v < values.length; v += 2) {
+        const second = v + 1 < values.length ? values[v + 1] : PS;
+        codewords.push(values[v] * 30 + second);
+    }
+
+    return submode;
+}
+
+/**
+ * Encode digits with numeric compaction (groups of up to 44 digits in base 900)
+ */
+function encodeNumeric(bytes, start, count, codewords) {
+    for (let i = 0; i < count; i += 44) {
+        const digits = String.fromCharCode(...bytes.slice(start + i, start + Math.min(count, i + 44)));
+        let value = BigInt('1' + digits);
+        const group = [];
+        do {
+            group.unshift(Number(value % 900n));
+            value /= 900n;
+        } while (value > 0n);
+        codewords.push(...group);
+    }
+}
+
+/**
+ * Encode bytes with byte compaction (6 bytes to 5 codewords)
+ */
+function encodeBytes(bytes, start, count, inText, codewords) {
+    if (count === 1 && inText) {
+        codewords.push(SHIFT_BYTE);
+    } else {
+        codewords.push(count % 6 === 0 ? LATCH_BYTE_6 : LATCH_BYTE);
+    }
+
+    let i = start;
+    while (start + count - i >= 6) {
+        let value = 0;
+        for (let j = 0; j < 6; j++) {
+            value = value * 256 + bytes[i + j];
+        }
+        const group = [];
+        for (let j = 0; j < 5; j++) {
+            group.unshift(value % 900);
+            value = Math.floor(value / 900);
+        }
+        codewords.push(...group);
+        i += 6;
+    }
+    for (; i < start + count; i++) {
+        codewords.push(bytes[i]);
+    }
+}
+
+function consecutiveDigits(bytes, start) {
+    let i = start;
+    while (i < bytes.length && isDigit(bytes[i])) i++;
+    return i - start;
+}
+
+/**
+ * Count text-compactable bytes, stopping before a run of 13+ digits
+ */
+function consecutiveText(bytes, start) {
+    let i = start;
+    while (i < bytes.length) {
+        const digits = Math.min(13, consecutiveDigits(bytes, i));
+        if (digits >= 13) return i - start;
+        if (digits > 0) {
+            i += digits;
+            continue;
+        }
+        if (!isText(bytes[i])) break;
+        i++;
+    }
+    return i - start;
+}
+
+/**
+ * Count bytes for byte compaction, stopping before 13+ digits or 5+ text bytes
+ */
+function consecutiveBinary(bytes, start) {
+    let i = start;
+    while (i < bytes.length) {
+        if (consecutiveDigits(bytes, i) >= 13) break;
+        let text = 0;
+        while (text < 5 && i + text < bytes.length && isText(bytes[i + text])) text++;
+        if (text >= 5) break;
+        i++;
+    }
+    return i - start;
+}
+
+/**
+ * Encode bytes into data codewords (without length descriptor)
+ * @param {number[]} bytes - Data bytes
+ * @returns {number[]}
+ */
+function encodeHighLevel(bytes) {
+    const codewords = [];
+    let inText = true; // Text compaction is the initial mode
+    let submode = ALPHA;
+    let pos = 0;
+
+    while (pos < bytes.length) {
+        const digits = consecutiveDigits(bytes, pos);
+        if (digits >= 13) {
+            codewords.push(LATCH_NUMERIC);
+            encodeNumeric(bytes, pos, digits, codewords);
+            inText = false;
+            submode = ALPHA;
+            pos += digits;
+            continue;
+        }
+
+        const text = consecutiveText(bytes, pos);
+        if (text >= 5 || digits === bytes.length) {
+            if (!inText) {
+                codewords.push(LATCH_TEXT);
+                inText = true;
+                submode = ALPHA;
+            }
+            submode = encodeText(bytes, pos, text, codewords, submode);
+            pos += text;
+            continue;
+        }
+
+        const count = Math.max(1, consecutiveBinary(bytes, pos));
+        encodeBytes(bytes, pos, count, inText, codewords);
+        if (!(count === 1 && inText)) {
+            inText = false;
+            submode = ALPHA;
+        }
+        pos += count;
+    }
+
+    return codewords;
+}
+
+// ===========================================
+// Error correction (GF(929))
+// ===========================================
+
+/**
+ * Generator polynomial coefficients for 2^(level+1) ECC codewords
+ * @returns {number[]} Coefficients a0..a(k-1) of x^k + ... + a0
+ */
+function generatorCoefficients(level) {
+    const k = 2 << level;
+    let poly = [1]; // Lowest degree first
+    let root = 1;
+    for (let i = 1; i <= k; i++) {
+        root = (root * 3) % 929;
+        const next = new Array(poly.length + 1).fill(0);
+        poly.forEach((coef, j) => {
+            next[j + 1] = (next[j + 1] + coef) % 929;
+            next[j] = (next[j] + 929 - (coef * root) % 929) % 929;
+        });
+        poly = next;
+    }
+    return poly.slice(0, k);
+}
+
+function errorCorrection(data, level) {
+    const coefficients = generatorCoefficients(level);
+    const k = coefficients.length;
+    const e = new Array(k).fill(0);
+
+    for (const value of data) {
+        const t1 = (value + e[k - 1]) % 929;
+        for (let j = k - 1; j >= 1; j--) {
+            e[j] = (e[j - 1] + 929 - (t1 * coefficients[j]) % 929) % 929;
+        }
+        e[0] = (929 - (t1 * coefficients[0]) % 929) % 929;
+    }
+
+    return e.reverse().map(value => (value === 0 ? 0 : 929 - value));
+}
+
+// ===========================================
+// Public API
+// ===========================================
+
+/**
+ * Encode data as a PDF417 symbol
+ * @param {number[]} bytes - Data bytes
+ * @param {Object} [options]
+ * @param {number} [options.securityLevel=0] - Error correction level 0-8
+ * @param {number} [options.columns] - Data columns (1-30)
+ * @param {number} [options.rows] - Rows (3-90)
+ * @param {boolean} [options.truncated=false] - Omit right row indicators and stop pattern
+ * @returns {{ rows: number, columns: number, modules: boolean[][] }} One module row per symbol row
+ */
+export function encodePDF417(bytes, { securityLevel = 0, columns, rows, truncated = false } = {}) {
+    const level = Math.min(8, Math.max(0, securityLevel));
+    const data = encodeHighLevel(bytes);
+    const eccCount = 2 << level;
+    const needed = data.length + 1 + eccCount;
+
+    if (needed > 928) {
+        throw new Error('PDF417 data too long');
+    }
+
+    // Default to a 1:2 row-to-column aspect ratio
+    let c = columns ? Math.min(30, Math.max(1, columns)) : 0;
+    let r = rows ? Math.min(90, Math.max(3, rows)) : 0;
+    if (!c && !r) {
+        r = Math.max(3, Math.ceil(Math.sqrt(needed / 2)));
+        c = Math.min(30, Math.ceil(needed / r));
+        r = Math.max(3, Math.ceil(needed / c));
+    } else if (!r) {
+        r = Math.max(3, Math.ceil(needed / c));
+    } else if (!c) {
+        c = Math.min(30, Math.ceil(needed / r));
+    }
+    if (r * c < needed || r > 90) {
+        throw new Error(`PDF417 data does not fit in ${r} rows x ${c} columns`);
+    }
+
+    // Length descriptor, data and padding, followed by ECC
+    const padded = [0, ...data];
+    while (padded.length < r * c - eccCount) padded.push(PAD);
+    padded[0] = padded.length;
+    const codewords = padded.concat(errorCorrection(padded, level));
+
+    const modules = [];
+    const appendPattern = (row, bits, length) => {
+        for (let i = length - 1; i >= 0; i--) row.push(((bits >> i) & 1) === 1);
+    };
+    const appendWidths = (row, widths) => {
+        widths.forEach((width, i) => {
+            for (let j = 0; j < width; j++) row.push(i % 2 === 0);
+        });
+    };
+
+    for (let y = 0; y < r; y++) {
+        const cluster = y % 3;
+        const patterns = CLUSTER_PATTERNS[cluster];
+        const base = 30 * Math.floor(y / 3);
+        const indicators = [
+            base + Math.floor((r - 1) / 3),
+            base + level * 3 + (r - 1) % 3,
+            base + c - 1
+        ];
+        const left = indicators[cluster];
+        const right = indicators[(cluster + 2) % 3];
+
+        const row = [];
+        appendWidths(row, START_PATTERN);
+        appendPattern(row, patterns[left], 17);
+        for (let x = 0; x < c; x++) {
+            appendPattern(row, patterns[codewords[y * c + x]], 17);
+        }
+        if (truncated) {
+            row.push(true);
+        } else {
+            appendPattern(row, patterns[right], 17);
+            appendWidths(row, STOP_PATTERN);
+        }
+        modules.push(row);
+    }
+
+    return { rows: r, columns: c, modules };
+}
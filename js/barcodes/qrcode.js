@@ -0,0 +1,654 @@
+/**
+ * QR Code (model 2) encoder
+ *
+ * Supports numeric, alphanumeric, byte and Kanji modes, versions 1-40 and
+ * error correction levels L, M, Q and H. Automatic mode picks the segment
+ * modes that give the shortest bit stream.
+ */
+
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// Mode indicators and character count bit lengths for versions 1-9, 10-26, 27-40
+const MODES = {
+    numeric: { indicator: 0x1, countBits: [10, 12, 14] },
+    alphanumeric: { indicator: 0x2, countBits: [9, 11, 13] },
+    byte: { indicator: 0x4, countBits: [8, 16, 16] },
+    kanji: { indicator: 0x8, countBits: [8, 10, 12] }
+};
+
+// Format bits per error correction level
+const EC_LEVELS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Error correction codewords per block, indexed by level then version
+const ECC_CODEWORDS_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+// Number of error correction blocks, indexed by level then version
+const NUM_ECC_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+// Version ranges sharing the same character count bit lengths
+const VERSION_GROUPS = [[1, 9], [10, 26], [27, 40]];
+
+const textEncoder = new TextEncoder();
+
+// ===========================================
+// Shift JIS (Kanji mode)
+// ===========================================
+
+let shiftJISTable = null;
+
+/**
+ * Build a Unicode → Shift JIS map for the double-byte range QR Kanji mode covers
+ * The browser's Shift JIS decoder is used so no code table has to be shipped.
+ * @returns {Map<string, number>}
+ */
+function getShiftJISTable() {
+    if (shiftJISTable) return shiftJISTable;
+    shiftJISTable = new Map();
+
+    let decoder;
+    try {
+        decoder = new TextDecoder('shift_jis', { fatal: true });
+    } catch (e) {
+        return shiftJISTable; // Kanji mode unavailable, byte mode is used instead
+    }
+
+    const leads = [];
+    for (let lead = 0x81; lead <= 0x9F; lead++) leads.push(lead);
+    for (let lead = 0xE0; lead <= 0xEB; lead++) leads.push(lead);
+
+    for (const lead of leads) {
+        const lastTrail = lead === 0xEB ? 0xBF : 0xFC;
+        for (let trail = 0x40; trail <= lastTrail; trail++) {
+            if (trail === 0x7F) continue;
+            try {
+                const char = decoder.decode(new Uint8Array([lead, trail]));
+                if (char.length === 1 && !shiftJISTable.has(char)) {
+                    shiftJISTable.set(char, (lead << 8) | trail);
+                }
+            } catch (e) {
+                // Unassigned code point
+            }
+        }
+    }
+
+    return shiftJISTable;
+}
+
+// ===========================================
+// Bit buffer & segments
+// ===========================================
+
+function appendBits(bits, value, length) {
+    for (let i = length - 1; i >= 0; i--) {
+        bits.push((value >>> i) & 1);
+    }
+}
+
+function isNumeric(char) {
+    return char >= '0' && char <= '9';
+}
+
+function isAlphanumeric(char) {
+    return ALPHANUMERIC_CHARSET.includes(char);
+}
+
+function isKanji(char) {
+    return getShiftJISTable().has(char);
+}
+
+/**
+ * Get the character count bit length for a mode and version
+ */
+function countBits(mode, version) {
+    const group = version <= 9 ? 0 : (version <= 26 ? 1 : 2);
+    return MODES[mode].countBits[group];
+}
+
+/**
+ * Build a segment's data bits
+ * @param {string} mode - numeric, alphanumeric, byte or kanji
+ * @param {string} text - Characters to encode
+ * @returns {{ mode: string, count: number, bits: number[] }}
+ */
+function makeSegment(mode, text) {
+    const bits = [];
+    const chars = Array.from(text);
+    let count = chars.length;
+
+    if (mode === 'numeric') {
+        for (let i = 0; i < text.length; i += 3) {
+            const group = text.substr(i, 3);
+            appendBits(bits, parseInt(group, 10), group.length * 3 + 1);
+        }
+    } else if (mode === 'alphanumeric') {
+        for (let i = 0; i + 1 < text.length; i += 2) {
+            const value = ALPHANUMERIC_CHARSET.indexOf(text[i]) * 45 +
+                ALPHANUMERIC_CHARSET.indexOf(text[i + 1]);
+            appendBits(bits, value, 11);
+        }
+        if (text.length % 2 === 1) {
+            appendBits(bits, ALPHANUMERIC_CHARSET.indexOf(text[text.length - 1]), 6);
+        }
+    } else if (mode === 'kanji') {
+        const table = getShiftJISTable();
+        for (const char of chars) {
+            let code = table.get(char);
+            code -= code <= 0x9FFC ? 0x8140 : 0xC140;
+            appendBits(bits, (code >> 8) * 0xC0 + (code & 0xFF), 13);
+        }
+    } else {
+        const bytes = textEncoder.encode(text);
+        for (const byte of bytes) {
+            appendBits(bits, byte, 8);
+        }
+        count = bytes.length;
+    }
+
+    return { mode, count, bits };
+}
+
+/**
+ * Check that every character of the text can be encoded in a mode
+ */
+function fitsMode(mode, text) {
+    const test = { numeric: isNumeric, alphanumeric: isAlphanumeric, kanji: isKanji }[mode];
+    return !test || Array.from(text).every(test);
+}
+
+/**
+ * Split text into segments that minimize the total bit length for a version
+ * Dynamic programming over the four modes, costs counted in sixths of a bit.
+ * @param {string} text - Text to encode
+ * @param {number} version - Version whose count bit lengths apply
+ * @returns {Array<{ mode: string, count: number, bits: number[] }>}
+ */
+function makeOptimalSegments(text, version) {
+    const chars = Array.from(text);
+    if (chars.length === 0) return [makeSegment('byte', '')];
+
+    const modes = ['byte', 'alphanumeric', 'numeric', 'kanji'];
+    const headCosts = modes.map(mode => (4 + countBits(mode, version)) * 6);
+    const charModes = [];
+    let prevCosts = headCosts.slice();
+
+    for (const char of chars) {
+        const charMode = modes.map(() => null);
+        const curCosts = modes.map(() => Infinity);
+
+        curCosts[0] = prevCosts[0] + textEncoder.encode(char).length * 8 * 6;
+        charMode[0] = modes[0];
+        if (isAlphanumeric(char)) {
+            curCosts[1] = prevCosts[1] + 33; // 5.5 bits per character
+            charMode[1] = modes[1];
+        }
+        if (isNumeric(char)) {
+            curCosts[2] = prevCosts[2] + 20; // 3.33 bits per character
+            charMode[2] = modes[2];
+        }
+        if (isKanji(char)) {
+            curCosts[3] = prevCosts[3] + 78; // 13 bits per character
+            charMode[3] = modes[3];
+        }
+
+        // Consider ending the current segment and switching mode
+        for (let j = 0; j < modes.length; j++) {
+            for (let k = 0; k < modes.length; k++) {
+                const cost = Math.ceil(curCosts[k] / 6) * 6 + headCosts[j];
+                if (charMode[k] !== null && cost < curCosts[j]) {
+                    curCosts[j] = cost;
+                    charMode[j] = modes[k];
+                }
+            }
+        }
+
+        charModes.push(charMode);
+        prevCosts = curCosts;
+    }
+
+    // Trace back the cheapest path
+    let current = 0;
+    for (let i = 1; i < modes.length; i++) {
+        if (prevCosts[i] < prevCosts[current]) current = i;
+    }
+    const result = [];
+    for (let i = chars.length - 1; i >= 0; i--) {
+        const mode = charModes[i][current];
+        current = modes.indexOf(mode);
+        result.unshift(mode);
+    }
+
+    const segments = [];
+    let start = 0;
+    for (let i = 1; i <= chars.length; i++) {
+        if (i === chars.length || result[i] !== result[start]) {
+            segments.push(makeSegment(result[start], chars.slice(start, i).join('')));
+            start = i;
+        }
+    }
+    return segments;
+}
+
+/**
+ * Total bit length of segments for a version, or Infinity if a count overflows
+ */
+function segmentsBitLength(segments, version) {
+    let total = 0;
+    for (const segment of segments) {
+        const bits = countBits(segment.mode, version);
+        if (segment.count >= (1 << bits)) return Infinity;
+        total += 4 + bits + segment.bits.length;
+    }
+    return total;
+}
+
+// ===========================================
+// Symbol structure
+// ===========================================
+
+/**
+ * Number of data and ECC modules available in a version
+ */
+function numRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+/**
+ * Number of data codewords for a version and level
+ */
+function numDataCodewords(version, ecLevel) {
+    return Math.floor(numRawDataModules(version) / 8) -
+        ECC_CODEWORDS_PER_BLOCK[ecLevel][version] * NUM_ECC_BLOCKS[ecLevel][version];
+}
+
+/**
+ * Alignment pattern center coordinates
+ */
+function alignmentPositions(version) {
+    if (version === 1) return [];
+    const size = version * 4 + 17;
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) {
+        result.splice(1, 0, pos);
+    }
+    return result;
+}
+
+// ===========================================
+// Reed-Solomon (GF(256), polynomial 0x11D)
+// ===========================================
+
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coef, i) => {
+            result[i] ^= gfMultiply(coef, factor);
+        });
+    }
+    return result;
+}
+
+/**
+ * Split data codewords into blocks, add ECC and interleave
+ */
+function addEccAndInterleave(data, version, ecLevel) {
+    const numBlocks = NUM_ECC_BLOCKS[ecLevel][version];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecLevel][version];
+    const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = rsDivisor(blockEccLen);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+        const block = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+        k += block.length;
+        const ecc = rsRemainder(block, divisor);
+        if (i < numShortBlocks) block.push(0);
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Skip the padding byte of short blocks
+            if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+// ===========================================
+// Matrix construction
+// ===========================================
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+/**
+ * QR matrix under construction
+ */
+class QRMatrix {
+    constructor(version, ecLevel) {
+        this.version = version;
+        this.ecLevel = ecLevel;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.drawFunctionPatterns();
+    }
+
+    setFunction(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        const size = this.size;
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with separators
+        for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                        this.setFunction(x, y, dist !== 2 && dist !== 4);
+                    }
+                }
+            }
+        }
+
+        // Alignment patterns, except where they overlap finder patterns
+        const positions = alignmentPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve format areas (real bits are drawn once the mask is known)
+        this.drawFormatBits(0);
+        this.drawVersion();
+    }
+
+    drawFormatBits(mask) {
+        const data = (EC_LEVELS[this.ecLevel] << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) {
+            rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+        const size = this.size;
+
+        // First copy, around the top-left finder
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+        // Second copy, split between the other two finders
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+        this.setFunction(8, size - 8, true); // Always dark
+    }
+
+    drawVersion() {
+        if (this.version < 7) return;
+        let rem = this.version;
+        for (let i = 0; i < 12; i++) {
+            rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | rem;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, dark);
+            this.setFunction(b, a, dark);
+        }
+    }
+
+    /**
+     * Place codewords in the zigzag pattern
+     */
+    drawCodewords(codewords) {
+        const size = this.size;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const test = MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && test(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Penalty score used to pick the best mask
+     */
+    penalty() {
+        const size = this.size;
+        const modules = this.modules;
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+        let score = 0;
+        let dark = 0;
+
+        const scanLine = (get) => {
+            let runColor = get(0);
+            let runLength = 1;
+            for (let i = 1; i < size; i++) {
+                if (get(i) === runColor) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) score += runLength - 2;
+                    runColor = get(i);
+                    runLength = 1;
+                }
+            }
+            if (runLength >= 5) score += runLength - 2;
+
+            for (let i = 0; i + 11 <= size; i++) {
+                for (const pattern of finderLike) {
+                    if (pattern.every((value, k) => get(i + k) === value)) score += 40;
+                }
+            }
+        };
+
+        for (let y = 0; y < size; y++) {
+            scanLine((x) => modules[y][x]);
+            scanLine((x) => modules[x][y]);
+        }
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x + 1 < size && y + 1 < size) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        score += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    }
+}
+
+// ===========================================
+// Public API
+// ===========================================
+
+/**
+ * Encode text as a QR Code symbol
+ * @param {string} text - Data to encode
+ * @param {Object} [options]
+ * @param {string} [options.ecLevel='M'] - Error correction level: L, M, Q or H
+ * @param {string} [options.mode='auto'] - auto, numeric, alphanumeric, byte or kanji
+ * @param {number} [options.mask=-1] - Mask pattern 0-7, or -1 to pick the lowest penalty
+ * @returns {{ version: number, size: number, modules: boolean[][] }} Module matrix (true = dark)
+ */
+export function encodeQRCode(text, { ecLevel = 'M', mode = 'auto', mask = -1 } = {}) {
+    if (!EC_LEVELS.hasOwnProperty(ecLevel)) {
+        throw new Error(`Invalid QR error correction level: ${ecLevel}`);
+    }
+    if (mode !== 'auto' && !fitsMode(mode, text)) {
+        throw new Error(`QR data cannot be encoded in ${mode} mode`);
+    }
+    if (mode === 'kanji' && getShiftJISTable().size === 0) {
+        mode = 'byte';
+    }
+
+    // Find the smallest version that holds the data
+    let version = 0;
+    let segments = null;
+    let dataBits = 0;
+    for (const [first, last] of VERSION_GROUPS) {
+        const candidate = mode === 'auto' ? makeOptimalSegments(text, last) : [makeSegment(mode, text)];
+        for (let v = first; v <= last; v++) {
+            const length = segmentsBitLength(candidate, v);
+            if (length <= numDataCodewords(v, ecLevel) * 8) {
+                version = v;
+                segments = candidate;
+                dataBits = length;
+                break;
+            }
+        }
+        if (version) break;
+    }
+    if (!version) {
+        throw new Error('QR data too long for version 40');
+    }
+
+    // Assemble the bit stream
+    const bits = [];
+    for (const segment of segments) {
+        appendBits(bits, MODES[segment.mode].indicator, 4);
+        appendBits(bits, segment.count, countBits(segment.mode, version));
+        bits.push(...segment.bits);
+    }
+    const capacity = numDataCodewords(version, ecLevel) * 8;
+    appendBits(bits, 0, Math.min(4, capacity - dataBits));
+    appendBits(bits, 0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+        appendBits(bits, pad, 8);
+    }
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    const matrix = new QRMatrix(version, ecLevel);
+    matrix.drawCodewords(addEccAndInterleave(data, version, ecLevel));
+
+    // Pick the mask with the lowest penalty unless one was requested
+    if (mask < 0 || mask > 7) {
+        let bestScore = Infinity;
+        for (let m = 0; m < 8; m++) {
+            matrix.applyMask(m);
+            matrix.drawFormatBits(m);
+            const score = matrix.penalty();
+            if (score < bestScore) {
+                bestScore = score;
+                mask = m;
+            }
+            matrix.applyMask(m); // Undo (XOR)
+        }
+    }
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+
+    return { version, size: matrix.size, modules: matrix.modules };
+}
@@ -0,0 +1,228 @@
+/**
+ * Built-in Zebra bitmap fonts A-H
+ *
+ * Every font uses the printer's character matrix, gap and baseline at
+ * 8 dots/mm, so text takes the same room as on a Zebra and breaks into the
+ * same lines. The glyph shapes are not the printer's: they come from a
+ * single 5 × 9 dot-matrix design that is resampled to each matrix, so the
+ * larger fonts (D, E, G, H) are blocky and E and H are not OCR-B and OCR-A.
+ * The metrics are exact; the dots of each character are an approximation.
+ */
+
+// Character matrix (height × width in dots), gap after each character,
+// and whether the font only has uppercase letters
+const FONT_MATRICES = {
+    'A': { height: 9, width: 5, gap: 1 },
+    'B': { height: 11, width: 7, gap: 2, uppercase: true },
+    'C': { height: 18, width: 10, gap: 2 },
+    'D': { height: 18, width: 10, gap: 2 },
+    'E': { height: 28, width: 15, gap: 5 },   // OCR-B
+    'F': { height: 26, width: 13, gap: 3 },
+    'G': { height: 60, width: 40, gap: 8 },
+    'H': { height: 21, width: 13, gap: 6, uppercase: true }  // OCR-A
+};
+
+// Rows of the design: 7 above the baseline, 2 for descenders
+const DESIGN_ROWS = 9;
+const DESIGN_ASCENT = 7;
+const DESIGN_COLUMNS = 5;
+
+// Columns of ASCII 0x20-0x7E, left to right; bit n is row n from the top
+const GLYPHS = [
+    [0x000, 0x000, 0x000, 0x000, 0x000], // space
+    [0x000, 0x000, 0x05F, 0x000, 0x000], // !
+    [0x000, 0x007, 0x000, 0x007, 0x000], // "
+    [0x014, 0x07F, 0x014, 0x07F, 0x014], // #
+    [0x024, 0x02A, 0x07F, 0x02A, 0x012], // $
+    [0x023, 0x013, 0x008, 0x064, 0x062], // %
+    [0x036, 0x049, 0x055, 0x022, 0x050], // &
+    [0x000, 0x005, 0x003, 0x000, 0x000], // '
+    [0x000, 0x01C, 0x022, 0x041, 0x000], // (
+    [0x000, 0x041, 0x022, 0x01C, 0x000], // )
+    [0x008, 0x02A, 0x01C, 0x02A, 0x008], // *
+    [0x008, 0x008, 0x03E, 0x008, 0x008], // +
+    [0x000, 0x0E0, 0x060, 0x000, 0x000], // ,
+    [0x008, 0x008, 0x008, 0x008, 0x008], // -
+    [0x000, 0x060, 0x060, 0x000, 0x000], // .
+    [0x020, 0x010, 0x008, 0x004, 0x002], // /
+    [0x03E, 0x051, 0x049, 0x045, 0x03E], // 0
+    [0x000, 0x042, 0x07F, 0x040, 0x000], // 1
+    [0x042, 0x061, 0x051, 0x049, 0x046], // 2
+    [0x021, 0x041, 0x045, 0x04B, 0x031], // 3
+    [0x018, 0x014, 0x012, 0x07F, 0x010], // 4
+    [0x027, 0x045, 0x045, 0x045, 0x039], // 5
+    [0x03C, 0x04A, 0x049, 0x049, 0x030], // 6
+    [0x001, 0x071, 0x009, 0x005, 0x003], // 7
+    [0x036, 0x049, 0x049, 0x049, 0x036], // 8
+    [0x006, 0x049, 0x049, 0x029, 0x01E], // 9
+    [0x000, 0x036, 0x036, 0x000, 0x000], // :
+    [0x000, 0x0E6, 0x066, 0x000, 0x000], // ;
+    [0x008, 0x014, 0x022, 0x041, 0x000], // <
+    [0x014, 0x014, 0x014, 0x014, 0x014], // =
+    [0x000, 0x041, 0x022, 0x014, 0x008], // >
+    [0x002, 0x001, 0x051, 0x009, 0x006], // ?
+    [0x032, 0x049, 0x079, 0x041, 0x03E], // @
+    [0x07E, 0x011, 0x011, 0x011, 0x07E], // A
+    [0x07F, 0x049, 0x049, 0x049, 0x036], // B
+    [0x03E, 0x041, 0x041, 0x041, 0x022], // C
+    [0x07F, 0x041, 0x041, 0x022, 0x01C], // D
+    [0x07F, 0x049, 0x049, 0x049, 0x041], // E
+    [0x07F, 0x009, 0x009, 0x009, 0x001], // F
+    [0x03E, 0x041, 0x049, 0x049, 0x07A], // G
+    [0x07F, 0x008, 0x008, 0x008, 0x07F], // H
+    [0x000, 0x041, 0x07F, 0x041, 0x000], // I
+    [0x020, 0x040, 0x041, 0x03F, 0x001], // J
+    [0x07F, 0x008, 0x014, 0x022, 0x041], // K
+    [0x07F, 0x040, 0x040, 0x040, 0x040], // L
+    [0x07F, 0x002, 0x00C, 0x002, 0x07F], // M
+    [0x07F, 0x004, 0x008, 0x010, 0x07F], // N
+    [0x03E, 0x041, 0x041, 0x041, 0x03E], // O
+    [0x07F, 0x009, 0x009, 0x009, 0x006], // P
+    [0x03E, 0x041, 0x051, 0x021, 0x05E], // Q
+    [0x07F, 0x009, 0x019, 0x029, 0x046], // R
+    [0x046, 0x049, 0x049, 0x049, 0x031], // S
+    [0x001, 0x001, 0x07F, 0x001, 0x001], // T
+    [0x03F, 0x040, 0x040, 0x040, 0x03F], // U
+    [0x01F, 0x020, 0x040, 0x020, 0x01F], // V
+    [0x03F, 0x040, 0x038, 0x040, 0x03F], // W
+    [0x063, 0x014, 0x008, 0x014, 0x063], // X
+    [0x007, 0x008, 0x070, 0x008, 0x007], // Y
+    [0x061, 0x051, 0x049, 0x045, 0x043], // Z
+    [0x000, 0x07F, 0x041, 0x041, 0x000], // [
+    [0x002, 0x004, 0x008, 0x010, 0x020], // backslash
+    [0x000, 0x041, 0x041, 0x07F, 0x000], // ]
+    [0x004, 0x002, 0x001, 0x002, 0x004], // ^
+    [0x100, 0x100, 0x100, 0x100, 0x100], // _
+    [0x000, 0x001, 0x002, 0x004, 0x000], // `
+    [0x020, 0x054, 0x054, 0x054, 0x078], // a
+    [0x07F, 0x048, 0x044, 0x044, 0x038], // b
+    [0x038, 0x044, 0x044, 0x044, 0x020], // c
+    [0x038, 0x044, 0x044, 0x048, 0x07F], // d
+    [0x038, 0x054, 0x054, 0x054, 0x018], // e
+    [0x008, 0x07E, 0x009, 0x001, 0x002], // f
+    [0x098, 0x124, 0x124, 0x124, 0x0FC], // g
+    [0x07F, 0x008, 0x004, 0x004, 0x078], // h
+    [0x000, 0x044, 0x07D, 0x040, 0x000], // i
+    [0x080, 0x100, 0x104, 0x0FD, 0x000], // j
+    [0x07F, 0x010, 0x028, 0x044, 0x000], // k
+    [0x000, 0x041, 0x07F, 0x040, 0x000], // l
+    [0x07C, 0x004, 0x018, 0x004, 0x078], // m
+    [0x07C, 0x008, 0x004, 0x004, 0x078], // n
+    [0x038, 0x044, 0x044, 0x044, 0x038], // o
+    [0x1FC, 0x044, 0x044, 0x044, 0x038], // p
+    [0x038, 0x044, 0x044, 0x044, 0x1FC], // q
+    [0x07C, 0x008, 0x004, 0x004, 0x008], // r
+    [0x048, 0x054, 0x054, 0x054, 0x020], // s
+    [0x004, 0x03F, 0x044, 0x040, 0x020], // t
+    [0x03C, 0x040, 0x040, 0x020, 0x07C], // u
+    [0x01C, 0x020, 0x040, 0x020, 0x01C], // v
+    [0x03C, 0x040, 0x030, 0x040, 0x03C], // w
+    [0x044, 0x028, 0x010, 0x028, 0x044], // x
+    [0x03C, 0x140, 0x140, 0x140, 0x0FC], // y
+    [0x044, 0x064, 0x054, 0x04C, 0x044], // z
+    [0x000, 0x008, 0x036, 0x041, 0x000], // {
+    [0x000, 0x000, 0x07F, 0x000, 0x000], // |
+    [0x000, 0x041, 0x036, 0x008, 0x000], // }
+    [0x002, 0x001, 0x002, 0x004, 0x002]  // ~
+];
+
+// Resampled glyphs per font and character
+const glyphCache = new Map();
+
+/**
+ * Get the metrics of a built-in bitmap font
+ * @param {string} name - Font name (A-H)
+ * @returns {{ height: number, width: number, gap: number, baseline: number }|null}
+ *   Matrix size, gap after each character and baseline offset from the top
+ *   in dots at magnification 1, or null for other fonts
+ */
+export function bitmapFont(name) {
+    const matrix = FONT_MATRICES[name];
+    if (!matrix) return null;
+    return {
+        height: matrix.height,
+        width: matrix.width,
+        gap: matrix.gap,
+        baseline: Math.round(matrix.height * DESIGN_ASCENT / DESIGN_ROWS)
+    };
+}
+
+/**
+ * Find the design glyph of a character
+ * Accented letters fall back to their base letter and anything else
+ * without a glyph prints as '?'.
+ */
+function designGlyph(char, uppercase) {
+    let code = char.codePointAt(0);
+    if (code < 0x20 || code > 0x7E) {
+        code = char.normalize('NFD').codePointAt(0);
+    }
+    if (code < 0x20 || code > 0x7E) {
+        code = 0x3F;
+    }
+    if (uppercase && code >= 0x61 && code <= 0x7A) {
+        code -= 0x20;
+    }
+    return GLYPHS[code - 0x20];
+}
+
+/**
+ * Resample design glyph columns to a dot matrix
+ * The parts above and below the baseline are resampled separately.
+ * @returns {Uint8Array} height × width dots, row by row (1 = dark)
+ */
+function resampleGlyph(columns, width, height, baseline) {
+    const dots = new Uint8Array(height * width);
+
+    for (let row = 0; row < height; row++) {
+        const designRow = row < baseline
+            ? Math.floor(row * DESIGN_ASCENT / baseline)
+            : DESIGN_ASCENT + Math.floor((row - baseline) * (DESIGN_ROWS - DESIGN_ASCENT) / (height - baseline));
+        for (let column = 0; column < width; column++) {
+            const designColumn = Math.floor(column * DESIGN_COLUMNS / width);
+            dots[row * width + column] = (columns[designColumn] >> designRow) & 1;
+        }
+    }
+
+    return dots;
+}
+
+/**
+ * Get the dots of a character in a bitmap font at magnification 1
+ * @param {string} name - Font name (A-H)
+ * @param {string} char - Character
+ * @returns {Uint8Array} height × width dots, row by row (1 = dark)
+ */
+export function glyphDots(name, char) {
+    const key = name + char;
+    if (!glyphCache.has(key)) {
+        const matrix = FONT_MATRICES[name];
+        const columns = designGlyph(char, matrix.uppercase);
+        glyphCache.set(key, resampleGlyph(columns, matrix.width, matrix.height, bitmapFont(name).baseline));
+    }
+    return glyphCache.get(key);
+}
+
+/**
+ * Get the dots of a character above the baseline at any size
+ * Used for the letters of ^GS symbols.
+ * @param {string} char - Character
+ * @param {number} width - Width in dots
+ * @param {number} height - Height in dots
+ * @returns {Uint8Array} height × width dots, row by row (1 = dark)
+ */
+export function letterDots(char, width, height) {
+    return resampleGlyph(designGlyph(char, false), width, height, height);
+}
+
+/**
+ * Get the dots of a character with descenders at any size
+ * Used to draw scalable fonts without a font engine.
+ * @param {string} char - Character
+ * @param {number} width - Width in dots
+ * @param {number} height - Height in dots, baseline to descender included
+ * @returns {Uint8Array} height × width dots, row by row (1 = dark)
+ */
+export function scaledGlyphDots(char, width, height) {
+    return resampleGlyph(designGlyph(char, false), width, height, Math.round(height * DESIGN_ASCENT / DESIGN_ROWS));
+}
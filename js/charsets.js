@@ -0,0 +1,146 @@
+/**
+ * ZPL character sets (^CI) and hexadecimal field data (^FH)
+ *
+ * Field data typed into the editor is already Unicode, so only ASCII
+ * characters and hex-escaped bytes go through the selected character set.
+ */
+
+// Byte positions replaced by the national 7-bit sets (CI0-CI12)
+const NATIONAL_POSITIONS = [0x23, 0x24, 0x40, 0x5B, 0x5C, 0x5D, 0x5E, 0x60, 0x7B, 0x7C, 0x7D, 0x7E];
+
+// Characters at NATIONAL_POSITIONS per set, following the ISO 646 national variants
+const NATIONAL_SETS = {
+    0: '#$@[\\]^`{|}~',  // USA 1
+    1: '#$@[\\]^`{|}~',  // USA 2
+    2: '£$@[\\]^`{|}~',  // UK
+    3: '£$¾ĳ½|^`¨ƒ¼´',   // Holland
+    4: '#$@ÆØÅ^`æøå~',   // Denmark/Norway
+    5: '#¤ÉÄÖÅÜéäöåü',   // Sweden/Finland
+    6: '#$§ÄÖÜ^`äöüß',   // Germany
+    7: '£$à°ç§^`éùè¨',   // France 1
+    8: '#$àâçêîôéùèû',   // France 2
+    9: '£$§°çé^ùàòèì',   // Italy
+    10: '₧$§¡Ñ¿^`°ñç~',  // Spain
+    11: '#$@[\\]^`{|}~', // Miscellaneous
+    12: '#$@[¥]^`{|}‾'   // Japan
+};
+
+// Glyphs of control codes 0x01-0x1F in the IBM code pages, used by CI0-CI13
+const CONTROL_GLYPHS = '☺☻♥♦♣♠•◘○◙♂♀♪♫☼►◄↕‼¶§▬↨↑↓→←∟↔▲▼';
+
+// Upper half (0x80-0xFF) of code page 850, used by CI0-CI13
+const CP850 =
+    'ÇüéâäàåçêëèïîìÄÅ' +
+    'ÉæÆôöòûùÿÖÜø£Ø×ƒ' +
+    'áíóúñÑªº¿®¬½¼¡«»' +
+    '░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐' +
+    '└┴┬├─┼ãÃ╚╔╩╦╠═╬¤' +
+    'ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀' +
+    'ÓßÔÒõÕµþÞÚÛÙýÝ¯´' +
+    '\u00AD±‗¾¶§÷¸°¨·¹³²■\u00A0';
+
+// Character sets decoded with TextDecoder
+const DECODERS = {
+    15: 'shift_jis',
+    16: 'euc-jp',
+    27: 'windows-1252',
+    28: 'utf-8',
+    29: 'utf-16be',
+    30: 'utf-16le',
+    31: 'windows-1250',
+    33: 'windows-1251',
+    34: 'windows-1253',
+    35: 'windows-1254',
+    36: 'windows-1255'
+};
+
+// Character sets with more than one byte per character
+const MULTI_BYTE = [15, 16, 28, 29, 30];
+
+/**
+ * Check whether a ^CI character set number is supported
+ * @param {number} charset - Character set number
+ * @returns {boolean}
+ */
+export function isSupportedCharset(charset) {
+    return (charset >= 0 && charset <= 13) || DECODERS[charset] !== undefined;
+}
+
+/**
+ * Decode one byte of a single-byte character set
+ */
+function decodeByte(byte, charset) {
+    if (byte < 0x80) {
+        const position = NATIONAL_POSITIONS.indexOf(byte);
+        if (position >= 0 && NATIONAL_SETS[charset]) {
+            return NATIONAL_SETS[charset][position];
+        }
+        if (byte > 0 && byte < 0x20 && charset <= 13) {
+            return CONTROL_GLYPHS[byte - 1];
+        }
+        return String.fromCharCode(byte);
+    }
+    if (charset <= 13) {
+        return CP850[byte - 0x80];
+    }
+    return new TextDecoder(DECODERS[charset]).decode(new Uint8Array([byte]));
+}
+
+/**
+ * Decode ZPL field data to Unicode text
+ * @param {string} data - Field data as typed
+ * @param {Object} [options]
+ * @param {string|null} [options.hexIndicator=null] - ^FH indicator character, or null without ^FH
+ * @param {number} [options.charset=0] - ^CI character set number
+ * @param {Map<number, number>} [options.remap] - ^CI remapping of input bytes to output bytes
+ *   (single-byte character sets only)
+ * @returns {string} Decoded text
+ */
+export function decodeFieldData(data, { hexIndicator = null, charset = 0, remap = new Map() } = {}) {
+    // Split into literal characters and hex-escaped bytes
+    const units = [];
+    for (let i = 0; i < data.length; i++) {
+        const hex = data.slice(i + 1, i + 3);
+        if (hexIndicator && data[i] === hexIndicator && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+            units.push({ byte: parseInt(hex, 16) });
+            i += 2;
+        } else {
+            units.push({ char: data[i] });
+        }
+    }
+
+    let text = '';
+    if (MULTI_BYTE.includes(charset)) {
+        // Decode each run of escaped bytes as a whole
+        const decoder = new TextDecoder(DECODERS[charset]);
+        let run = [];
+        const flush = () => {
+            if (run.length) text += decoder.decode(new Uint8Array(run));
+            run = [];
+        };
+        for (const unit of units) {
+            if (unit.byte !== undefined) {
+                run.push(unit.byte);
+            } else {
+                flush();
+                text += unit.char;
+            }
+        }
+        flush();
+        return text;
+    }
+
+    for (const unit of units) {
+        const escaped = unit.byte !== undefined;
+        const code = escaped ? unit.byte : unit.char.charCodeAt(0);
+        if (remap.has(code)) {
+            text += decodeByte(remap.get(code), charset);
+        } else if (escaped || (code >= 0x20 && code < 0x80)) {
+            text += decodeByte(code, charset);
+        } else {
+            // Typed control and non-ASCII characters are kept as they are
+            text += unit.char;
+        }
+    }
+    return text;
+}
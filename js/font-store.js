@@ -0,0 +1,176 @@
+/**
+ * Custom fonts for ^A@ and ^CW
+ *
+ * Font files loaded by the user are kept in IndexedDB and registered as
+ * FontFace objects, so the renderer can draw with them by family name.
+ */
+
+const DB_NAME = 'zpl-label-printer';
+const DB_VERSION = 1;
+const FONT_STORE = 'fonts';
+
+const FONT_EXTENSIONS = ['TTF', 'OTF', 'WOFF', 'WOFF2'];
+
+// Registered fonts: ZPL file name (e.g. "BRAND.TTF") → { family, face, data }
+const fonts = new Map();
+
+/**
+ * Normalize a font file name the way ZPL refers to it
+ * The drive is dropped, since loaded fonts are found on every drive.
+ * @param {string} name - File or ZPL font name, e.g. "Brand.ttf" or "E:BRAND.TTF"
+ * @returns {string} Upper-case file name, e.g. "BRAND.TTF"
+ */
+export function fontFileName(name) {
+    return name.trim().replace(/^[A-Z]:/i, '').toUpperCase();
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open the app database, creating the font store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('Font storage is not available in this browser'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(FONT_STORE)) {
+            db.createObjectStore(FONT_STORE, { keyPath: 'name' });
+        }
+    };
+    return promisify(request);
+}
+
+/**
+ * Run one request against the font store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ */
+async function withFontStore(mode, operation) {
+    const db = await openDatabase();
+    try {
+        return await promisify(operation(db.transaction(FONT_STORE, mode).objectStore(FONT_STORE)));
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Register font data as a FontFace
+ * @param {string} name - Normalized file name
+ * @param {ArrayBuffer} data - Font file contents
+ */
+async function registerFont(name, data) {
+    const family = `ZPL-${name.replace(/[^A-Z0-9]/g, '-')}`;
+    const face = new FontFace(family, data);
+    await face.load();
+
+    unregisterFont(name);
+    document.fonts.add(face);
+    fonts.set(name, { family, face, data });
+}
+
+/**
+ * Remove a registered FontFace
+ */
+function unregisterFont(name) {
+    const font = fonts.get(name);
+    if (font) {
+        document.fonts.delete(font.face);
+        fonts.delete(name);
+    }
+}
+
+/**
+ * Register all fonts saved in earlier sessions
+ * Fonts that fail to load are skipped.
+ * @returns {Promise<string[]>} Names of the registered fonts
+ */
+export async function loadStoredFonts() {
+    const records = await withFontStore('readonly', store => store.getAll());
+
+    for (const { name, data } of records) {
+        try {
+            await registerFont(name, data);
+        } catch (error) {
+            console.warn(`Stored font ${name} could not be loaded:`, error);
+        }
+    }
+
+    return getFontNames();
+}
+
+/**
+ * Load a font file, register it and save it for later sessions
+ * A font with the same name is replaced.
+ * @param {File} file - TTF, OTF, WOFF or WOFF2 file
+ * @returns {Promise<string>} ZPL file name of the font
+ */
+export async function addFontFile(file) {
+    const name = fontFileName(file.name);
+    const extension = name.split('.').pop();
+    if (!name.includes('.') || !FONT_EXTENSIONS.includes(extension)) {
+        throw new Error(`${file.name} is not a TTF, OTF or WOFF font file`);
+    }
+
+    const data = await file.arrayBuffer();
+    try {
+        await registerFont(name, data);
+    } catch (error) {
+        throw new Error(`${file.name} could not be loaded as a font`);
+    }
+
+    try {
+        await withFontStore('readwrite', store => store.put({ name, data }));
+    } catch (error) {
+        // Still usable for this session
+        console.warn(`Font ${name} could not be saved:`, error);
+    }
+
+    return name;
+}
+
+/**
+ * Unregister a font and delete it from storage
+ * @param {string} name - ZPL file name of the font
+ */
+export async function removeFont(name) {
+    unregisterFont(name);
+    await withFontStore('readwrite', store => store.delete(name));
+}
+
+/**
+ * Get the names of the registered fonts
+ * @returns {string[]}
+ */
+export function getFontNames() {
+    return [...fonts.keys()].sort();
+}
+
+/**
+ * Get the CSS font families of the registered fonts for the renderer
+ * @returns {Map<string, string>} ZPL file name → font family
+ */
+export function getFontFamilies() {
+    return new Map([...fonts].map(([name, font]) => [name, font.family]));
+}
+
+/**
+ * Get the registered font files, so a render worker can register them too
+ * @returns {Map<string, { family: string, data: ArrayBuffer }>} ZPL file name → font family and file contents
+ */
+export function getFontFiles() {
+    return new Map([...fonts].map(([name, font]) => [name, { family: font.family, data: font.data }]));
+}
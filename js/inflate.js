@@ -0,0 +1,203 @@
+/**
+ * Inflate (zlib / DEFLATE decompression)
+ *
+ * A small synchronous decoder for the compressed data in PNG images and
+ * :Z64: graphic payloads, so the renderer does not have to wait for the
+ * asynchronous DecompressionStream.
+ */
+
+// Base values and extra bits of length codes 257-285 and distance codes 0-29
+const LENGTH_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+    35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA = [
+    0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+    3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+const DISTANCE_BASE = [
+    1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193,
+    257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577
+];
+const DISTANCE_EXTRA = [
+    0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6,
+    7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13
+];
+
+// Order in which code length code lengths are sent in a dynamic block
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+const MAX_BITS = 15;
+
+/**
+ * Build a canonical Huffman table from code lengths
+ * @param {ArrayLike<number>} lengths - Code length of every symbol (0 = unused)
+ * @returns {{ counts: Uint16Array, symbols: Uint16Array }} Number of codes
+ *   of each length and the symbols ordered by code
+ */
+function huffmanTable(lengths) {
+    const counts = new Uint16Array(MAX_BITS + 1);
+    for (const length of lengths) counts[length]++;
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(MAX_BITS + 1);
+    for (let length = 1; length < MAX_BITS; length++) {
+        offsets[length + 1] = offsets[length] + counts[length];
+    }
+
+    const symbols = new Uint16Array(lengths.length);
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        if (lengths[symbol]) symbols[offsets[lengths[symbol]]++] = symbol;
+    }
+    return { counts, symbols };
+}
+
+// Tables of the fixed Huffman codes (block type 1)
+const FIXED_LITERALS = huffmanTable(Array.from({ length: 288 }, (_, symbol) =>
+    symbol < 144 ? 8 : symbol < 256 ? 9 : symbol < 280 ? 7 : 8));
+const FIXED_DISTANCES = huffmanTable(new Array(30).fill(5));
+
+/**
+ * Decompress raw DEFLATE data
+ * @param {Uint8Array} input - Compressed data
+ * @param {number} [start=0] - Offset of the first block
+ * @returns {Uint8Array} Decompressed data
+ */
+export function inflateRaw(input, start = 0) {
+    let position = start;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let output = new Uint8Array(Math.max(1024, input.length * 4));
+    let length = 0;
+
+    const bits = count => {
+        while (bitCount < count) {
+            if (position >= input.length) throw new Error('Compressed data is truncated');
+            bitBuffer |= input[position++] << bitCount;
+            bitCount += 8;
+        }
+        const value = bitBuffer & ((1 << count) - 1);
+        bitBuffer >>>= count;
+        bitCount -= count;
+        return value;
+    };
+
+    // Codes are packed starting with their most significant bit
+    const decode = table => {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let bitLength = 1; bitLength <= MAX_BITS; bitLength++) {
+            code |= bits(1);
+            const count = table.counts[bitLength];
+            if (code - first < count) return table.symbols[index + code - first];
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error('Compressed data is invalid');
+    };
+
+    const reserve = count => {
+        if (length + count <= output.length) return;
+        const grown = new Uint8Array(Math.max(output.length * 2, length + count));
+        grown.set(output.subarray(0, length));
+        output = grown;
+    };
+
+    let last = false;
+    while (!last) {
+        last = bits(1) === 1;
+        const type = bits(2);
+
+        if (type === 0) {
+            // Stored block: byte aligned length, its complement and raw bytes
+            bitBuffer = 0;
+            bitCount = 0;
+            if (position + 4 > input.length) throw new Error('Compressed data is truncated');
+            const size = input[position] | (input[position + 1] << 8);
+            position += 4;
+            if (position + size > input.length) throw new Error('Compressed data is truncated');
+            reserve(size);
+            output.set(input.subarray(position, position + size), length);
+            length += size;
+            position += size;
+            continue;
+        }
+
+        let literals = FIXED_LITERALS;
+        let distances = FIXED_DISTANCES;
+        if (type === 2) {
+            const literalCount = bits(5) + 257;
+            const distanceCount = bits(5) + 1;
+            const codeLengthCount = bits(4) + 4;
+
+            const codeLengths = new Uint8Array(19);
+            for (let i = 0; i < codeLengthCount; i++) {
+                codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+            }
+            const codeLengthTable = huffmanTable(codeLengths);
+
+            const lengths = new Uint8Array(literalCount + distanceCount);
+            for (let i = 0; i < lengths.length;) {
+                const symbol = decode(codeLengthTable);
+                if (symbol < 16) {
+                    lengths[i++] = symbol;
+                    continue;
+                }
+                const [repeat, value] = symbol === 16
+                    ? [3 + bits(2), i > 0 ? lengths[i - 1] : 0]
+                    : symbol === 17 ? [3 + bits(3), 0] : [11 + bits(7), 0];
+                if (i + repeat > lengths.length) throw new Error('Compressed data is invalid');
+                lengths.fill(value, i, i + repeat);
+                i += repeat;
+            }
+            literals = huffmanTable(lengths.subarray(0, literalCount));
+            distances = huffmanTable(lengths.subarray(literalCount));
+        } else if (type !== 1) {
+            throw new Error('Compressed data is invalid');
+        }
+
+        for (;;) {
+            const symbol = decode(literals);
+            if (symbol === 256) break;
+            if (symbol < 256) {
+                reserve(1);
+                output[length++] = symbol;
+                continue;
+            }
+
+            const lengthCode = symbol - 257;
+            if (lengthCode >= LENGTH_BASE.length) throw new Error('Compressed data is invalid');
+            const size = LENGTH_BASE[lengthCode] + bits(LENGTH_EXTRA[lengthCode]);
+            const distanceCode = decode(distances);
+            if (distanceCode >= DISTANCE_BASE.length) throw new Error('Compressed data is invalid');
+            const distance = DISTANCE_BASE[distanceCode] + bits(DISTANCE_EXTRA[distanceCode]);
+            if (distance > length) throw new Error('Compressed data is invalid');
+
+            // Copies may overlap the bytes they produce, so go byte by byte
+            reserve(size);
+            for (let i = 0; i < size; i++, length++) {
+                output[length] = output[length - distance];
+            }
+        }
+    }
+
+    return output.slice(0, length);
+}
+
+/**
+ * Decompress zlib data (a two-byte header followed by DEFLATE blocks)
+ * The Adler-32 checksum at the end is not verified.
+ * @param {Uint8Array} input - zlib stream
+ * @returns {Uint8Array} Decompressed data
+ */
+export function inflate(input) {
+    if (input.length < 2 || (input[0] & 0x0F) !== 8 || ((input[0] << 8) | input[1]) % 31 !== 0) {
+        throw new Error('Data is not zlib compressed');
+    }
+    if (input[1] & 0x20) {
+        throw new Error('Compressed data needs a preset dictionary');
+    }
+    return inflateRaw(input, 2);
+}
@@ -0,0 +1,189 @@
+/**
+ * PNG decoder for downloaded graphics (~DY)
+ *
+ * Decodes a PNG file synchronously into a 1-bit graphic: pixels darker
+ * than mid-gray after compositing on white print black, like a PNG
+ * stored on a Zebra printer.
+ */
+
+import { inflate } from './inflate.js';
+
+const SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Samples per pixel of each color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+/**
+ * Read a big-endian 32-bit unsigned integer
+ */
+function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+/**
+ * Reverse the per-row filters of the image data
+ * @param {Uint8Array} data - Inflated image data (filter byte + row bytes per row)
+ * @param {number} height - Rows
+ * @param {number} stride - Bytes per row without the filter byte
+ * @param {number} bpp - Bytes per complete pixel (at least 1)
+ * @returns {Uint8Array} Unfiltered rows
+ */
+function unfilter(data, height, stride, bpp) {
+    if (data.length < height * (stride + 1)) {
+        throw new Error('PNG image data is truncated');
+    }
+
+    const rows = new Uint8Array(height * stride);
+    for (let y = 0; y < height; y++) {
+        const filter = data[y * (stride + 1)];
+        const source = y * (stride + 1) + 1;
+        const row = y * stride;
+        const previous = row - stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= bpp ? rows[row + x - bpp] : 0;
+            const up = y > 0 ? rows[previous + x] : 0;
+            const upLeft = y > 0 && x >= bpp ? rows[previous + x - bpp] : 0;
+            let predictor;
+            switch (filter) {
+                case 0: predictor = 0; break;
+                case 1: predictor = left; break;
+                case 2: predictor = up; break;
+                case 3: predictor = (left + up) >> 1; break;
+                case 4: {
+                    // Paeth: the neighbour closest to left + up - upLeft
+                    const estimate = left + up - upLeft;
+                    const toLeft = Math.abs(estimate - left);
+                    const toUp = Math.abs(estimate - up);
+                    const toUpLeft = Math.abs(estimate - upLeft);
+                    predictor = toLeft <= toUp && toLeft <= toUpLeft ? left : toUp <= toUpLeft ? up : upLeft;
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown PNG filter type ${filter}`);
+            }
+            rows[row + x] = (data[source + x] + predictor) & 0xFF;
+        }
+    }
+    return rows;
+}
+
+/**
+ * Decode a PNG file into a 1-bit graphic
+ * @param {Uint8Array} bytes - PNG file contents
+ * @returns {{ width: number, height: number, rowBytes: number, bytes: Uint8Array }}
+ *   Graphic size and rows of packed pixels, most significant bit first (1 = black)
+ */
+export function decodePNG(bytes) {
+    if (bytes.length < 8 || SIGNATURE.some((value, i) => bytes[i] !== value)) {
+        throw new Error('Data is not a PNG image');
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const chunks = [];
+
+    for (let offset = 8; offset + 8 <= bytes.length;) {
+        const length = readUint32(bytes, offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        offset += length + 12;
+
+        if (type === 'IHDR') {
+            header = {
+                width: readUint32(data, 0),
+                height: readUint32(data, 4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            chunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header || !CHANNELS[header.colorType]) {
+        throw new Error('PNG image header is missing or invalid');
+    }
+    if (header.interlace) {
+        throw new Error('Interlaced PNG images are not supported');
+    }
+    if (header.colorType === 3 && !palette) {
+        throw new Error('PNG image palette is missing');
+    }
+
+    const { width, height, bitDepth, colorType } = header;
+    const channels = CHANNELS[colorType];
+    const stride = Math.ceil(width * channels * bitDepth / 8);
+    const bpp = Math.max(1, channels * bitDepth / 8);
+
+    const compressed = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    for (const chunk of chunks) {
+        compressed.set(chunk, position);
+        position += chunk.length;
+    }
+    const rows = unfilter(inflate(compressed), height, stride, bpp);
+
+    // Sample n of a row, scaled to 0-255 (16-bit samples keep their high byte)
+    const maxSample = (1 << bitDepth) - 1;
+    const sample = (row, n) => {
+        if (bitDepth === 8) return rows[row + n];
+        if (bitDepth === 16) return rows[row + n * 2];
+        const bit = n * bitDepth;
+        const value = (rows[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+        return colorType === 3 ? value : Math.round(value * 255 / maxSample);
+    };
+    // Raw sample for comparing with a tRNS color key
+    const rawSample = (row, n) => bitDepth === 16
+        ? (rows[row + n * 2] << 8) | rows[row + n * 2 + 1]
+        : bitDepth === 8 ? rows[row + n] : (rows[row + ((n * bitDepth) >> 3)] >> (8 - bitDepth - ((n * bitDepth) & 7))) & maxSample;
+
+    const rowBytes = Math.ceil(width / 8);
+    const graphic = new Uint8Array(rowBytes * height);
+
+    for (let y = 0; y < height; y++) {
+        const row = y * stride;
+        for (let x = 0; x < width; x++) {
+            const n = x * channels;
+            let red, green, blue;
+            let alpha = 255;
+
+            if (colorType === 3) {
+                const index = sample(row, n);
+                red = palette[index * 3];
+                green = palette[index * 3 + 1];
+                blue = palette[index * 3 + 2];
+                if (transparency && index < transparency.length) alpha = transparency[index];
+            } else {
+                red = sample(row, n);
+                green = channels >= 3 ? sample(row, n + 1) : red;
+                blue = channels >= 3 ? sample(row, n + 2) : red;
+                if (colorType === 4 || colorType === 6) alpha = sample(row, n + channels - 1);
+                if (transparency && channels === 1 && rawSample(row, n) === ((transparency[0] << 8) | transparency[1])) {
+                    alpha = 0;
+                }
+                if (transparency && channels === 3 && [0, 1, 2].every(c =>
+                    rawSample(row, n + c) === ((transparency[c * 2] << 8) | transparency[c * 2 + 1]))) {
+                    alpha = 0;
+                }
+            }
+
+            // Luminance over a white background
+            const luminance = (red * 299 + green * 587 + blue * 114) / 1000;
+            const shade = 255 - (255 - luminance) * alpha / 255;
+            if (shade < 128) {
+                graphic[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+            }
+        }
+    }
+
+    return { width, height, rowBytes, bytes: graphic };
+}
@@ -262,8 +262,20 @@ export async function printBitmap(bitmap, width, height, onProgress) {
  * @returns {Promise<void>}
  */
 export async function printMultiple(bitmap, width, height, copies, onProgress) {
+    await printSeries(() => ({ data: bitmap, width, height }), copies, onProgress);
+}
+
+/**
+ * Print a series of labels that differ per copy (e.g. serial numbers)
+ * @param {Function} getBitmap - Returns { data, width, height } for a copy index (0-based)
+ * @param {number} copies - Number of labels to print
+ * @param {Function} [onProgress] - Progress callback (currentCopy, totalCopies, printProgress)
+ * @returns {Promise<void>}
+ */
+export async function printSeries(getBitmap, copies, onProgress) {
     for (let i = 0; i < copies; i++) {
-        await printBitmap(bitmap, width, height, (progress) => {
+        const { data, width, height } = await getBitmap(i);
+        await printBitmap(data, width, height, (progress) => {
             if (onProgress) {
                 onProgress(i + 1, copies, progress);
             }
@@ -0,0 +1,130 @@
+/**
+ * Render client
+ *
+ * Renders labels in a worker (see render-worker.js), so typing does not
+ * wait for the renderer and the dithering. Each client renders one label at
+ * a time: starting a render cancels the one still running. Where workers
+ * cannot draw on an OffscreenCanvas, labels are rendered on the main thread.
+ */
+
+import { ZPLRenderer } from './zpl-renderer.js';
+import { renderJob } from './render-worker.js';
+
+/**
+ * Check whether a worker can draw labels, which takes a 2D OffscreenCanvas
+ * @returns {boolean}
+ */
+function canRenderInWorker() {
+    try {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+            new OffscreenCanvas(1, 1).getContext('2d') !== null;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Check whether the loaded fonts differ from the ones sent to the worker
+ * @param {Map<string, { family: string, data: ArrayBuffer }>|null} sent
+ * @param {Map<string, { family: string, data: ArrayBuffer }>} current
+ * @returns {boolean}
+ */
+function fontsChanged(sent, current) {
+    if (!sent || sent.size !== current.size) return true;
+    return [...current].some(([name, font]) =>
+        !sent.has(name) || sent.get(name).family !== font.family || sent.get(name).data !== font.data);
+}
+
+/**
+ * Renders labels for one purpose, such as the preview or a print job
+ */
+export class RenderClient {
+    constructor() {
+        this.worker = null;
+        this.useWorker = canRenderInWorker();
+        this.renderer = null;   // Main thread renderer, when there is no worker
+        this.pending = null;    // Render in the worker: { id, request, resolve, reject }
+        this.nextId = 1;
+        this.sentFonts = null;
+    }
+
+    /**
+     * Render a label
+     * A render still running is cancelled; its promise rejects with an AbortError.
+     * @param {{ zpl: string, width: number, height: number, options: Object }} request
+     *   Arguments of ZPLRenderer.render
+     * @param {Map<string, { family: string, data: ArrayBuffer }>} fontFiles - Loaded fonts (see font-store.js)
+     * @returns {Promise<Object>} See renderJob in render-worker.js
+     */
+    async render(request, fontFiles) {
+        this.cancel();
+
+        if (!this.useWorker) {
+            this.renderer = this.renderer || new ZPLRenderer();
+            return renderJob(this.renderer, request);
+        }
+
+        if (!this.worker) {
+            this.startWorker();
+        }
+        if (fontsChanged(this.sentFonts, fontFiles)) {
+            this.worker.postMessage({ type: 'fonts', fonts: fontFiles });
+            this.sentFonts = fontFiles;
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending = { id, request, resolve, reject };
+            this.worker.postMessage({ type: 'render', id, request });
+        });
+    }
+
+    /**
+     * Cancel the render still running, if any
+     * The worker is stopped, since a render cannot be interrupted.
+     */
+    cancel() {
+        if (!this.pending) return;
+
+        const { reject } = this.pending;
+        this.pending = null;
+        this.worker.terminate();
+        this.worker = null;
+        reject(new DOMException('Render cancelled', 'AbortError'));
+    }
+
+    /**
+     * Start a worker; the fonts are sent again with the next render
+     */
+    startWorker() {
+        this.worker = new Worker(new URL('./render-worker.js', import.meta.url), { type: 'module' });
+        this.sentFonts = null;
+
+        this.worker.onmessage = ({ data }) => {
+            if (!this.pending || data.id !== this.pending.id) return;
+
+            const { resolve, reject } = this.pending;
+            this.pending = null;
+            if (data.error) {
+                reject(new Error(data.error));
+            } else {
+                resolve(data.result);
+            }
+        };
+
+        // The worker did not load (e.g. no module workers): render here from now on
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            console.warn('Render worker failed, rendering on the main thread:', event.message);
+            this.worker.terminate();
+            this.worker = null;
+            this.useWorker = false;
+
+            if (this.pending) {
+                const { resolve, reject, request } = this.pending;
+                this.pending = null;
+                this.render(request, this.sentFonts).then(resolve, reject);
+            }
+        };
+    }
+}
@@ -0,0 +1,433 @@
+/**
+ * Render targets for the ZPL renderer
+ *
+ * The renderer draws through a small target API instead of a canvas
+ * context, so it also runs where there is no DOM:
+ *
+ * - RasterTarget is a pure JavaScript 1-bit raster. It draws the same dots
+ *   in every browser, worker and Node, and draws scalable fonts with the
+ *   built-in dot-matrix design.
+ * - CanvasTarget draws on a canvas or OffscreenCanvas, with the browser's
+ *   fonts, loaded font files and antialiasing.
+ *
+ * Both take canvas-style transforms, but only rotations by quarter turns,
+ * mirroring, scaling and translation, which is all ZPL needs. Reversed
+ * fields (^FR, ^LR) are drawn between beginReverse and endReverse.
+ */
+
+import { scaledGlyphDots } from './bitmap-fonts.js';
+import { toMonochromeBitmap } from './utils.js';
+
+// Scalable text on a raster: character cells are half as wide as the font
+// size, with a tenth of the size between characters
+const RASTER_GLYPH_WIDTH = 0.5;
+const RASTER_GLYPH_GAP = 0.1;
+
+/**
+ * Multiply two transform matrices [a, b, c, d, e, f]
+ * @returns {number[]} The transform applying m after the current matrix
+ */
+function multiply([a, b, c, d, e, f], m) {
+    return [
+        a * m[0] + c * m[1],
+        b * m[0] + d * m[1],
+        a * m[2] + c * m[3],
+        b * m[2] + d * m[3],
+        a * m[4] + c * m[5] + e,
+        b * m[4] + d * m[5] + f
+    ];
+}
+
+/**
+ * Pure JavaScript 1-bit raster
+ * A dot is drawn when its center lies inside the transformed rectangle.
+ */
+export class RasterTarget {
+    /**
+     * @param {number} width - Width in dots
+     * @param {number} height - Height in dots
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.canvas = null;
+        this.dots = new Uint8Array(width * height); // 1 = black
+        this.matrix = [1, 0, 0, 1, 0, 0];
+        this.color = 1;
+        this.stack = [];
+        this.layers = [];   // Dots under the reversed fields being drawn
+    }
+
+    save() {
+        this.stack.push({ matrix: this.matrix, color: this.color });
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (state) {
+            this.matrix = state.matrix;
+            this.color = state.color;
+        }
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.matrix = [a, b, c, d, e, f];
+    }
+
+    transform(a, b, c, d, e, f) {
+        this.matrix = multiply(this.matrix, [a, b, c, d, e, f]);
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    /**
+     * Set the color of the shapes that follow
+     * @param {'black'|'white'} color
+     */
+    setColor(color) {
+        this.color = color === 'white' ? 0 : 1;
+    }
+
+    /**
+     * Draw the shapes that follow on a layer of their own, until endReverse
+     * White shapes erase the layer.
+     */
+    beginReverse() {
+        this.layers.push(this.dots);
+        this.dots = new Uint8Array(this.width * this.height);
+    }
+
+    /**
+     * XOR the layer started by beginReverse onto the label: its dots turn
+     * black dots white and white dots black
+     */
+    endReverse() {
+        const layer = this.dots;
+        this.dots = this.layers.pop();
+        for (let i = 0; i < layer.length; i++) {
+            this.dots[i] ^= layer[i];
+        }
+    }
+
+    fillRect(x, y, width, height) {
+        const [a, b, c, d, e, f] = this.matrix;
+        const x0 = a * x + c * y + e;
+        const y0 = b * x + d * y + f;
+        const x1 = a * (x + width) + c * (y + height) + e;
+        const y1 = b * (x + width) + d * (y + height) + f;
+
+        // Dots whose center is inside the rectangle, clipped to the raster
+        const left = Math.max(0, Math.ceil(Math.min(x0, x1) - 0.5));
+        const right = Math.min(this.width, Math.ceil(Math.max(x0, x1) - 0.5));
+        const top = Math.max(0, Math.ceil(Math.min(y0, y1) - 0.5));
+        const bottom = Math.min(this.height, Math.ceil(Math.max(y0, y1) - 0.5));
+        if (right <= left || bottom <= top) return;
+
+        for (let row = top; row < bottom; row++) {
+            this.dots.fill(this.color, row * this.width + left, row * this.width + right);
+        }
+    }
+
+    /**
+     * Draw the black dots of a 1-bit graphic; white dots are left unchanged
+     * @param {{ width: number, height: number, rowBytes: number, bytes: Uint8Array }} graphic
+     *   Rows of packed pixels, most significant bit first (1 = black)
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} magX - Horizontal magnification
+     * @param {number} magY - Vertical magnification
+     */
+    drawBitmap(graphic, x, y, magX, magY) {
+        const { width, height, rowBytes, bytes } = graphic;
+        const isBlack = (row, column) => (bytes[row * rowBytes + (column >> 3)] >> (7 - (column & 7))) & 1;
+        this.fillDots(isBlack, width, height, x, y, magX, magY);
+    }
+
+    /**
+     * Fill the dark dots of a dot matrix, merging runs into rectangles
+     * @param {(row: number, column: number) => number} isDark - Dot lookup
+     * @param {number} width - Matrix width
+     * @param {number} height - Matrix height
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} scaleX - Dot width
+     * @param {number} scaleY - Dot height
+     */
+    fillDots(isDark, width, height, x, y, scaleX, scaleY) {
+        for (let row = 0; row < height; row++) {
+            let runStart = -1;
+            for (let column = 0; column <= width; column++) {
+                if (column < width && isDark(row, column)) {
+                    if (runStart < 0) runStart = column;
+                } else if (runStart >= 0) {
+                    this.fillRect(x + runStart * scaleX, y + row * scaleY, (column - runStart) * scaleX, scaleY);
+                    runStart = -1;
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the distance from the top of a line of text to its baseline
+     * @param {{ family: string, style: string, size: number, scaleX: number }} font
+     *   The family and style are ignored on a raster
+     * @returns {number}
+     */
+    fontAscent(font) {
+        return Math.round(font.size * 7 / 9);
+    }
+
+    measureText(text, font) {
+        const { advance } = this.glyphCells(font);
+        return Array.from(text).length * advance;
+    }
+
+    /**
+     * Draw text in the current color
+     * @param {string} text
+     * @param {number} x - Start of the baseline
+     * @param {number} y - Baseline
+     * @param {{ family: string, style: string, size: number, scaleX: number }} font
+     */
+    fillText(text, x, y, font) {
+        const { width, advance } = this.glyphCells(font);
+        const top = y - this.fontAscent(font);
+        Array.from(text).forEach((char, i) => {
+            const dots = scaledGlyphDots(char, width, font.size);
+            this.fillDots((row, column) => dots[row * width + column], width, font.size, x + i * advance, top, 1, 1);
+        });
+    }
+
+    /**
+     * Character cell size of a scalable font
+     * @returns {{ width: number, advance: number }}
+     */
+    glyphCells(font) {
+        const width = Math.max(1, Math.round(font.size * font.scaleX * RASTER_GLYPH_WIDTH));
+        const gap = Math.max(1, Math.round(font.size * font.scaleX * RASTER_GLYPH_GAP));
+        return { width, advance: width + gap };
+    }
+
+    /**
+     * Get the label as a bitmap for printing
+     * @returns {{ data: Uint8Array, width: number, height: number }}
+     *   1-bit packed rows, most significant bit first (0 = black, 1 = white)
+     */
+    toBitmap() {
+        const rowBytes = Math.ceil(this.width / 8);
+        const data = new Uint8Array(rowBytes * this.height).fill(0xFF);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.dots[y * this.width + x]) {
+                    data[y * rowBytes + (x >> 3)] &= ~(0x80 >> (x & 7));
+                }
+            }
+        }
+        return { data, width: this.width, height: this.height };
+    }
+}
+
+/**
+ * Canvas or OffscreenCanvas target
+ */
+export class CanvasTarget {
+    /**
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to draw on; it is cleared to white
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.width = canvas.width;
+        this.height = canvas.height;
+        this.ctx = canvas.getContext('2d');
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillRect(0, 0, canvas.width, canvas.height);
+        this.ctx.fillStyle = '#000000';
+        this.layers = [];   // Contexts under the reversed fields being drawn
+    }
+
+    save() {
+        this.ctx.save();
+    }
+
+    restore() {
+        this.ctx.restore();
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.ctx.setTransform(a, b, c, d, e, f);
+    }
+
+    transform(a, b, c, d, e, f) {
+        this.ctx.transform(a, b, c, d, e, f);
+    }
+
+    translate(x, y) {
+        this.ctx.translate(x, y);
+    }
+
+    /**
+     * Set the color of the shapes that follow
+     * @param {'black'|'white'} color
+     */
+    setColor(color) {
+        this.ctx.fillStyle = color === 'white' ? '#ffffff' : '#000000';
+        if (this.layers.length > 0) {
+            this.ctx.globalCompositeOperation = color === 'white' ? 'destination-out' : 'source-over';
+        }
+    }
+
+    /**
+     * Draw the shapes that follow on a layer of their own, until endReverse
+     * White shapes erase the layer.
+     */
+    beginReverse() {
+        const ctx = createCanvas(this.width, this.height).getContext('2d');
+        ctx.setTransform(this.ctx.getTransform());
+        this.layers.push(this.ctx);
+        this.ctx = ctx;
+        this.setColor(this.layers[this.layers.length - 1].fillStyle === '#ffffff' ? 'white' : 'black');
+    }
+
+    /**
+     * XOR the layer started by beginReverse onto the label: its dots turn
+     * black dots white and white dots black
+     */
+    endReverse() {
+        const layer = this.ctx;
+        this.ctx = this.layers.pop();
+
+        // Make the layer white, then invert the label where it is drawn
+        layer.setTransform(1, 0, 0, 1, 0, 0);
+        layer.globalCompositeOperation = 'source-in';
+        layer.fillStyle = '#ffffff';
+        layer.fillRect(0, 0, this.width, this.height);
+
+        this.ctx.save();
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.globalCompositeOperation = 'difference';
+        this.ctx.drawImage(layer.canvas, 0, 0);
+        this.ctx.restore();
+    }
+
+    fillRect(x, y, width, height) {
+        this.ctx.fillRect(x, y, width, height);
+    }
+
+    /**
+     * Draw the black dots of a 1-bit graphic; white dots are left unchanged
+     * @param {{ width: number, height: number, rowBytes: number, bytes: Uint8Array }} graphic
+     *   Rows of packed pixels, most significant bit first (1 = black)
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} magX - Horizontal magnification
+     * @param {number} magY - Vertical magnification
+     */
+    drawBitmap(graphic, x, y, magX, magY) {
+        const { width, height, rowBytes, bytes } = graphic;
+
+        // Draw the bitmap through a scratch canvas, so the transform applies
+        const bitmap = createCanvas(width, height);
+        const bitmapCtx = bitmap.getContext('2d');
+        const imageData = bitmapCtx.createImageData(width, height);
+        for (let row = 0; row < height; row++) {
+            for (let column = 0; column < width; column++) {
+                if ((bytes[row * rowBytes + (column >> 3)] >> (7 - (column & 7))) & 1) {
+                    imageData.data[(row * width + column) * 4 + 3] = 255;
+                }
+            }
+        }
+        bitmapCtx.putImageData(imageData, 0, 0);
+
+        this.ctx.save();
+        this.ctx.imageSmoothingEnabled = false;
+        this.ctx.drawImage(bitmap, x, y, width * magX, height * magY);
+        this.ctx.restore();
+    }
+
+    /**
+     * Get the distance from the top of a line of text to its baseline
+     * @param {{ family: string, style: string, size: number, scaleX: number }} font
+     * @returns {number}
+     */
+    fontAscent(font) {
+        this.setFont(font);
+        return this.ctx.measureText('H').fontBoundingBoxAscent;
+    }
+
+    measureText(text, font) {
+        this.setFont(font);
+        return this.ctx.measureText(text).width * font.scaleX;
+    }
+
+    /**
+     * Draw text in the current color
+     * @param {string} text
+     * @param {number} x - Start of the baseline
+     * @param {number} y - Baseline
+     * @param {{ family: string, style: string, size: number, scaleX: number }} font
+     */
+    fillText(text, x, y, font) {
+        this.setFont(font);
+        this.ctx.save();
+        this.ctx.translate(x, y);
+        this.ctx.scale(font.scaleX, 1);
+        this.ctx.fillText(text, 0, 0);
+        this.ctx.restore();
+    }
+
+    setFont(font) {
+        this.ctx.font = `${font.style} ${font.size}px ${font.family}`;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'alphabetic';
+    }
+
+    /**
+     * Get the label as a bitmap for printing
+     * Antialiased edges are dithered.
+     * @returns {{ data: Uint8Array, width: number, height: number }}
+     *   1-bit packed rows, most significant bit first (0 = black, 1 = white)
+     */
+    toBitmap() {
+        const imageData = this.ctx.getImageData(0, 0, this.width, this.height);
+        return {
+            data: toMonochromeBitmap(imageData, true),
+            width: this.width,
+            height: this.height
+        };
+    }
+}
+
+/**
+ * Create a canvas, offscreen when there is no document (in a worker)
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+export function createCanvas(width, height) {
+    if (typeof document === 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Create a white render target
+ * @param {'canvas'|'raster'} backend - Canvas (OffscreenCanvas in a worker) or pure JavaScript raster
+ * @param {number} width - Width in dots
+ * @param {number} height - Height in dots
+ * @returns {RasterTarget|CanvasTarget}
+ */
+export function createRenderTarget(backend, width, height) {
+    if (backend === 'raster') {
+        return new RasterTarget(width, height);
+    }
+    if (backend !== 'canvas') {
+        throw new Error(`Unknown render backend: ${backend}`);
+    }
+    return new CanvasTarget(createCanvas(width, height));
+}
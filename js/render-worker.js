@@ -0,0 +1,92 @@
+/**
+ * Render worker
+ *
+ * Runs the ZPL → 1-bit pipeline off the main thread: labels are drawn on an
+ * OffscreenCanvas and dithered here, and the preview image and the print
+ * bitmap are transferred back without copying. See render-client.js for
+ * the main thread side.
+ *
+ * Messages in: { type: 'fonts', fonts } with the loaded font files, and
+ * { type: 'render', id, request }. Messages out: { id, result } or
+ * { id, error }.
+ */
+
+import { ZPLRenderer } from './zpl-renderer.js';
+
+/**
+ * Render a label to a preview image and a print bitmap
+ * Used by the worker and, where workers cannot draw, on the main thread.
+ * @param {ZPLRenderer} renderer - Renderer to use
+ * @param {{ zpl: string, width: number, height: number, options: Object }} request
+ *   Arguments of ZPLRenderer.render
+ * @returns {Object} The result of ZPLRenderer.render without its target and
+ *   canvas, plus image (the preview: an ImageBitmap in a worker, otherwise
+ *   the canvas; null for the raster backend), bitmap (the dithered label, see
+ *   toBitmap) and the formats and graphics stores, which the label may have
+ *   changed
+ */
+export function renderJob(renderer, { zpl, width, height, options }) {
+    const { target, canvas, ...result } = renderer.render(zpl, width, height, options);
+
+    // Taking the image clears an OffscreenCanvas, so the bitmap comes first
+    const bitmap = target.toBitmap();
+    const image = canvas && typeof canvas.transferToImageBitmap === 'function'
+        ? canvas.transferToImageBitmap()
+        : canvas;
+
+    return {
+        ...result,
+        image,
+        bitmap,
+        formats: options.formats,
+        graphics: options.graphics
+    };
+}
+
+// Fonts registered in this worker
+let fontFaces = [];
+let fontsReady = Promise.resolve();
+
+/**
+ * Replace the fonts registered in this worker
+ * Fonts that fail to load are skipped.
+ * @param {Map<string, { family: string, data: ArrayBuffer }>} files - ZPL file name → font family and file contents
+ */
+async function registerFonts(files) {
+    for (const face of fontFaces) {
+        self.fonts.delete(face);
+    }
+    fontFaces = [];
+
+    for (const [name, { family, data }] of files) {
+        try {
+            const face = new FontFace(family, data);
+            await face.load();
+            self.fonts.add(face);
+            fontFaces.push(face);
+        } catch (error) {
+            console.warn(`Font ${name} could not be loaded in the render worker:`, error);
+        }
+    }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    const renderer = new ZPLRenderer();
+
+    self.onmessage = async ({ data: message }) => {
+        if (message.type === 'fonts') {
+            fontsReady = fontsReady.then(() => registerFonts(message.fonts));
+            return;
+        }
+
+        await fontsReady;
+        try {
+            const result = renderJob(renderer, message.request);
+            const transfer = [result.bitmap.data.buffer];
+            if (result.image) transfer.push(result.image);
+            self.postMessage({ id: message.id, result }, transfer);
+        } catch (error) {
+            self.postMessage({ id: message.id, error: error.message });
+        }
+    };
+}
@@ -0,0 +1,97 @@
+/**
+ * Serialized field data (^SN and ^SF)
+ *
+ * Computes the field data of a given copy, counting from 0 for the
+ * first label of a run.
+ */
+
+// Characters of each ^SF mask position, in counting order
+const MASK_ALPHABETS = {
+    D: '0123456789',
+    d: '0123456789',
+    H: '0123456789ABCDEF',
+    h: '0123456789abcdef',
+    O: '01234567',
+    o: '01234567',
+    A: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    a: 'abcdefghijklmnopqrstuvwxyz',
+    N: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    n: '0123456789abcdefghijklmnopqrstuvwxyz'
+};
+
+/**
+ * Get the ^SN field data of a copy
+ * The last run of digits in the start value is counted; the text before
+ * it is kept.
+ * @param {string} params - ^SN parameters: start value, increment, leading zeros (Y/N)
+ * @param {number} copy - Copy index (0 = first label)
+ * @returns {string} Field data
+ */
+export function serialNumber(params, copy) {
+    const parts = params.split(',');
+    const start = parts[0] || '1';
+    const increment = BigInt(parseInt(parts[1]) || 1);
+    const leadingZeros = (parts[2] || 'N').toUpperCase() === 'Y';
+
+    const match = start.match(/^(.*?)(\d+)(\D*)$/);
+    if (!match) {
+        return start;
+    }
+    const [, prefix, digits, suffix] = match;
+
+    // Counting past the digit count wraps around, as on the printer
+    const modulus = 10n ** BigInt(digits.length);
+    let value = (BigInt(digits) + increment * BigInt(copy)) % modulus;
+    if (value < 0n) value += modulus;
+
+    const text = leadingZeros ? value.toString().padStart(digits.length, '0') : value.toString();
+    return prefix + text + suffix;
+}
+
+/**
+ * Get the ^SF field data of a copy
+ * Mask and increment are aligned to the right of the field data. Mask
+ * characters D/d, H/h, O/o, A/a and N/n count in decimal, hexadecimal,
+ * octal, alphabetic and alphanumeric; % positions are left unchanged.
+ * @param {string} data - Field data of the first label
+ * @param {string} params - ^SF parameters: mask, increment (default 1, may start with -)
+ * @param {number} copy - Copy index (0 = first label)
+ * @returns {string} Field data
+ */
+export function serializeField(data, params, copy) {
+    const parts = params.split(',');
+    const mask = parts[0] || '';
+    let increment = parts[1] || '1';
+    let sign = 1;
+    if (increment.startsWith('-')) {
+        sign = -1;
+        increment = increment.slice(1);
+    }
+
+    const chars = Array.from(data);
+    const offset = chars.length - mask.length;
+    const incrementOffset = mask.length - increment.length;
+
+    // Position, alphabet and increment value of every counting position
+    const positions = [];
+    for (let i = 0; i < mask.length; i++) {
+        const alphabet = MASK_ALPHABETS[mask[i]];
+        if (!alphabet || offset + i < 0) continue;
+        const incrementChar = increment[i - incrementOffset] || '0';
+        const step = Math.max(0, alphabet.toUpperCase().indexOf(incrementChar.toUpperCase()));
+        positions.push({ index: offset + i, alphabet, step });
+    }
+
+    for (let n = 0; n < copy; n++) {
+        let carry = 0;
+        for (let i = positions.length - 1; i >= 0; i--) {
+            const { index, alphabet, step } = positions[i];
+            const radix = alphabet.length;
+            const sum = Math.max(0, alphabet.indexOf(chars[index])) + sign * step + carry;
+            chars[index] = alphabet[((sum % radix) + radix) % radix];
+            carry = Math.floor(sum / radix);
+        }
+    }
+
+    return chars.join('');
+}
@@ -1,33 +1,87 @@
 /**
- * ZPL Renderer - Converts ZPL code to canvas bitmap
+ * ZPL Renderer - Converts ZPL code to a label bitmap
  * 
  * This is a basic ZPL interpreter supporting common commands.
  * For production use, consider using a full ZPL library or API.
  */
 
 import { DPMM } from './utils.js';
+import { bitmapFont, glyphDots, letterDots } from './bitmap-fonts.js';
+import { decodeFieldData, isSupportedCharset } from './charsets.js';
+import { serialNumber, serializeField } from './serialization.js';
+import { tokenizeZPL, isKnownCommand } from './zpl-tokenizer.js';
+import { decodePNG } from './png.js';
+import { inflate } from './inflate.js';
+import { createRenderTarget } from './render-targets.js';
+import { encodeCode128 } from './barcodes/code128.js';
+import { encodeCode39 } from './barcodes/code39.js';
+import { encodeCode93 } from './barcodes/code93.js';
+import { encodeEAN13, encodeEAN8, encodeUPCA, encodeUPCE } from './barcodes/ean.js';
+import { encodeInterleaved2of5 } from './barcodes/interleaved2of5.js';
+import { encodeQRCode } from './barcodes/qrcode.js';
+import * as dataMatrix from './barcodes/datamatrix.js';
+import { encodePDF417 } from './barcodes/pdf417.js';
+import { encodeAztec } from './barcodes/aztec.js';
 
-// Font definitions (approximate sizes for ZPL fonts)
+// Scalable fonts. Font 0 (CG Triumvirate Bold Condensed) is approximated
+// with Arial Bold, narrowed to the condensed width.
 const FONTS = {
-    '0': { name: 'Arial', style: 'normal' },
-    'A': { name: 'Arial', style: 'normal' },
-    'B': { name: 'Arial', style: 'normal' },
-    'C': { name: 'Arial', style: 'normal' },
-    'D': { name: 'Arial', style: 'normal' },
-    'E': { name: 'Arial', style: 'normal' },
-    'F': { name: 'Arial', style: 'normal' },
-    'G': { name: 'Arial', style: 'normal' },
-    'H': { name: 'Arial', style: 'normal' },
+    '0': { name: 'Arial, sans-serif', style: 'bold', widthScale: 0.85 }
 };
 
-// Rotation mapping
-const ROTATIONS = {
-    'N': 0,    // Normal
-    'R': 90,   // Rotated 90° clockwise
-    'I': 180,  // Inverted (180°)
-    'B': 270   // Bottom-up (270°)
+// Bitmap font magnification limits
+const MAX_MAGNIFICATION = 10;
+
+// ^GS symbols: letters inside a ring, an open (C-shaped) ring or no ring
+const SYMBOLS = {
+    'A': { ring: 'closed', letters: 'R' },  // ®
+    'B': { ring: 'closed', letters: 'C' },  // ©
+    'C': { ring: null, letters: 'TM' },     // ™
+    'D': { ring: 'closed', letters: 'UL' }, // Underwriters Laboratories
+    'E': { ring: 'open', letters: 'SA' }    // Canadian Standards Association
+};
+
+// Field orientations as canvas transform matrices [a, b, c, d]
+const ORIENTATIONS = {
+    'N': [1, 0, 0, 1],    // Normal
+    'R': [0, 1, -1, 0],   // Rotated 90° clockwise
+    'I': [-1, 0, 0, -1],  // Inverted (180°)
+    'B': [0, -1, 1, 0]    // Bottom-up (270°)
 };
 
+// ^FO/^FT/^FW justification parameter: left, right, auto (by script direction)
+const JUSTIFICATIONS = { '0': 'L', '1': 'R', '2': 'A' };
+
+// Right-to-left scripts (Hebrew, Arabic, Syriac, Thaana, NKo, Samaritan, Mandaic)
+const RTL_TEXT = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+/**
+ * Convert field data to bytes for binary-capable symbologies
+ * Latin-1 text maps one character per byte; anything else is UTF-8 encoded.
+ * @param {string} text - Field data
+ * @returns {number[]}
+ */
+function textToBytes(text) {
+    const codes = Array.from(text, c => c.codePointAt(0));
+    return codes.every(c => c < 256) ? codes : Array.from(new TextEncoder().encode(text));
+}
+
+/**
+ * CRC-16-CCITT (XMODEM) of the encoded text of a :Z64:/:B64: payload
+ * @param {string} text - Base64 text
+ * @returns {number}
+ */
+function crc16(text) {
+    let crc = 0;
+    for (let i = 0; i < text.length; i++) {
+        crc ^= text.charCodeAt(i) << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc;
+}
+
 /**
  * ZPL Renderer class
  */
@@ -46,76 +100,377 @@ export class ZPLRenderer {
         this.fontHeight = 30;
         this.fontWidth = 30;
         this.rotation = 'N';
+        this.fieldOriginType = 'FO';
+        this.fieldJustification = 'L';
+        this.defaultJustification = 'L';
+        this.nextFieldPosition = { x: 0, y: 0 };
+        this.fieldParameter = null;
+        this.pendingSymbol = null;
         this.fieldReversePrint = false;
+        this.labelReversePrint = false;
+        this.fieldBlock = null;
+        this.textBlock = null;
+        this.fieldHexIndicator = null;
+        this.fieldNumber = null;
+        this.fieldDrawn = false;
+        this.fieldData = new Map();
+        this.fieldValues = {};
+        this.fonts = new Map();
+        this.fontAssignments = new Map();
+        this.fields = [];
+        this.charset = 0;
+        this.charsetRemap = new Map();
         this.barcodeHeight = 100;
         this.barcodeModuleWidth = 2;
         this.barcodeWideToNarrow = 3;
         this.labelWidth = 320;
         this.labelHeight = 240;
+        this.labelHomeX = 0;
+        this.labelHomeY = 0;
+        this.labelTop = 0;
+        this.labelShift = 0;
+        this.printInverted = false;
+        this.printMirrored = false;
+        this.printWidth = null;
+        this.labelLength = null;
+        this.printQuantity = null;
+        this.diagnostics = [];
+        this.currentCommand = null;
     }
     
     /**
-     * Render ZPL to canvas
+     * Render ZPL to a canvas or a 1-bit raster
      * @param {string} zpl - ZPL code
      * @param {number} widthPx - Label width in pixels
      * @param {number} heightPx - Label height in pixels
-     * @returns {{ canvas: HTMLCanvasElement, errors: string[] }}
+     * @param {Object} [options]
+     * @param {Map<string, Array>} [options.formats] - Stored formats (^DF/^XF), kept by the caller between renders
+     * @param {Map<string, Object>} [options.graphics] - Downloaded graphics (~DG/~DY), kept by the caller between renders
+     * @param {Object<number, string>} [options.fieldValues] - ^FN field data overriding the data in the ZPL
+     * @param {number} [options.copy=0] - Copy index for ^SN/^SF serialized fields (0 = first label);
+     *   ^PQ replicates print each serial value several times
+     * @param {number} [options.label=0] - Index of the label (^XA...^XZ format) to render
+     * @param {Map<string, string>} [options.fonts] - Loaded font files for ^A@ and ^CW (file name → CSS font family)
+     * @param {'canvas'|'raster'} [options.backend='canvas'] - Draw on a canvas (an OffscreenCanvas
+     *   in a worker) or on a pure JavaScript 1-bit raster, which needs no DOM and gives the same
+     *   dots everywhere but draws scalable fonts with the built-in dot-matrix design
+     * @returns {{ target: RasterTarget|CanvasTarget, canvas: HTMLCanvasElement|OffscreenCanvas|null, diagnostics: Array<{ severity: string, command: string, message: string, line: number|null, column: number|null, offset: number|null, length: number }>, fields: Array<{ number: number, prompt: string, value: string }>, serialized: boolean, labelSize: { width: number|null, height: number|null }, quantity: { total: number, pauseEvery: number, replicates: number, overridePause: boolean }|null, labelCount: number }}
+     *   target holds the label (see toBitmap); canvas is null for the raster
+     *   backend; diagnostics lists problems in source order (see diagnose); serialized is true
+     *   when the label changes from copy to copy; labelSize is the size in dots
+     *   declared by ^PW and ^LL (null when not declared); quantity is the ^PQ
+     *   setting (null when not declared); labelCount is the number of labels
+     *   in the ZPL
      */
-    render(zpl, widthPx, heightPx) {
+    render(zpl, widthPx, heightPx, options = {}) {
         this.reset();
         this.labelWidth = widthPx;
         this.labelHeight = heightPx;
+        this.formats = options.formats || new Map();
+        this.graphics = options.graphics || new Map();
+        this.fieldValues = options.fieldValues || {};
+        this.fonts = options.fonts || new Map();
+        
+        const target = createRenderTarget(options.backend || 'canvas', widthPx, heightPx);
         
-        const canvas = document.createElement('canvas');
-        canvas.width = widthPx;
-        canvas.height = heightPx;
+        const labels = this.splitLabels(this.parseZPL(zpl));
+        const label = Math.min(Math.max(0, options.label || 0), labels.length - 1);
+        for (const earlier of labels.slice(0, label)) {
+            this.applyDownloads(earlier);
+        }
+        
+        const { commands: expanded, fieldData } = this.applyStoredFormats(labels[label]);
+        this.applyLabelSettings(expanded);
         
-        const ctx = canvas.getContext('2d');
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, widthPx, heightPx);
-        ctx.fillStyle = '#000000';
+        // Each serial value prints once plus its replicates
+        const replicates = this.printQuantity ? this.printQuantity.replicates : 0;
+        const serialCopy = Math.floor((options.copy || 0) / (replicates + 1));
+        const { commands, serialized } = this.applySerialization(expanded, serialCopy);
+        this.fieldData = fieldData;
         
-        const errors = [];
-        const commands = this.parseZPL(zpl);
+        this.applyLabelTransform(target);
         
         for (const cmd of commands) {
+            this.currentCommand = cmd;
             try {
-                this.executeCommand(ctx, cmd);
+                this.executeCommand(target, cmd);
             } catch (e) {
-                errors.push(`Error in ${cmd.command}: ${e.message}`);
+                this.diagnose(cmd, 'error', e.message);
+            }
+        }
+        this.currentCommand = null;
+        
+        // Stored format problems are found before the commands run
+        const order = diagnostic => diagnostic.offset ?? Infinity;
+        this.diagnostics.sort((a, b) => order(a) - order(b) || 0);
+        
+        return {
+            target,
+            canvas: target.canvas,
+            diagnostics: this.diagnostics,
+            fields: this.fields,
+            serialized,
+            labelSize: { width: this.printWidth, height: this.labelLength },
+            quantity: this.printQuantity,
+            labelCount: labels.length
+        };
+    }
+    
+    /**
+     * Split commands into labels, one per ^XA...^XZ format
+     * Commands outside a format (such as ~DG downloads) and formats that
+     * only store a ^DF format print nothing, so they are kept with the next
+     * label, or with the last one when they come at the end.
+     * @param {Array<{ command: string, params: string }>} commands - Parsed commands
+     * @returns {Array<Array<{ command: string, params: string }>>} At least one label
+     */
+    splitLabels(commands) {
+        const labels = [];
+        let current = [];
+        let formatStart = -1;
+        
+        for (const cmd of commands) {
+            if (cmd.command === 'XA' && formatStart < 0) {
+                formatStart = current.length;
+            }
+            current.push(cmd);
+            if (cmd.command !== 'XZ' || formatStart < 0) continue;
+            
+            const storesFormat = current.slice(formatStart).some(c => c.command === 'DF');
+            formatStart = -1;
+            if (!storesFormat) {
+                labels.push(current);
+                current = [];
             }
         }
         
-        return { canvas, errors };
+        if (formatStart >= 0 || labels.length === 0) {
+            labels.push(current);
+        } else {
+            labels[labels.length - 1].push(...current);
+        }
+        return labels;
+    }
+    
+    /**
+     * Store the formats and graphics an earlier label downloads
+     * Nothing is drawn and problems are left to the render of that label.
+     * @param {Array<{ command: string, params: string }>} commands - Commands of the label
+     */
+    applyDownloads(commands) {
+        const reported = this.diagnostics.length;
+        const { commands: expanded } = this.applyStoredFormats(commands);
+        for (const cmd of expanded) {
+            if (!['DG', 'DY', 'ID'].includes(cmd.command)) continue;
+            try {
+                this.executeCommand(null, cmd);
+            } catch (e) {
+                // Reported when the label itself is rendered
+            }
+        }
+        this.diagnostics.length = reported;
     }
     
     /**
      * Parse ZPL into commands
      * @param {string} zpl - ZPL code
-     * @returns {Array<{ command: string, params: string }>}
+     * @returns {Array<{ command: string, params: string, line: number, column: number }>}
+     *   Commands with their source position (see tokenizeZPL)
      */
     parseZPL(zpl) {
-        const commands = [];
-        // Match ^XX or ~XX commands with their parameters
-        const regex = /[\^~]([A-Z]{1,2})([^^\~]*)/gi;
-        let match;
-        
-        while ((match = regex.exec(zpl)) !== null) {
-            commands.push({
-                command: match[1].toUpperCase(),
-                params: match[2].trim()
-            });
+        return tokenizeZPL(zpl);
+    }
+    
+    /**
+     * Store ^DF formats, expand ^XF recalls and collect ^FN field data
+     * A field with ^FN but no field origin supplies the data for that
+     * numbered field of a recalled format, so it is taken out of the
+     * commands and returned as field data.
+     * @param {Array<{ command: string, params: string }>} commands - Parsed commands
+     * @returns {{ commands: Array<{ command: string, params: string }>, fieldData: Map<number, string> }}
+     */
+    applyStoredFormats(commands) {
+        const expanded = [];
+        let definition = null;
+        
+        for (const cmd of commands) {
+            if (definition) {
+                if (cmd.command === 'XZ') {
+                    this.formats.set(definition.name, definition.commands);
+                    definition = null;
+                    expanded.push(cmd);
+                } else {
+                    definition.commands.push(cmd);
+                }
+            } else if (cmd.command === 'DF') {
+                definition = { name: this.storedFormatName(cmd.params), commands: [] };
+            } else if (cmd.command === 'XF') {
+                const name = this.storedFormatName(cmd.params);
+                if (this.formats.has(name)) {
+                    // The format may come from an earlier input, so report its problems at ^XF
+                    const { line, column, offset, length } = cmd;
+                    expanded.push(...this.formats.get(name).map(c => ({ ...c, line, column, offset, length })));
+                } else {
+                    this.diagnose(cmd, 'error', `Stored format not found: ${name}`);
+                }
+            } else {
+                expanded.push(cmd);
+            }
+        }
+        if (definition) {
+            this.formats.set(definition.name, definition.commands);
+        }
+        
+        const fieldData = new Map();
+        const result = [];
+        let field = [];
+        const isFieldData = c => c.command === 'FN' || c.command === 'FD' || c.command === 'FS';
+        
+        for (const cmd of expanded) {
+            field.push(cmd);
+            if (cmd.command !== 'FS') continue;
+            
+            const number = field.find(c => c.command === 'FN');
+            const data = field.find(c => c.command === 'FD');
+            const hasOrigin = field.some(c => c.command === 'FO' || c.command === 'FT');
+            if (number && data && !hasOrigin) {
+                fieldData.set(parseInt(number.params), data.params);
+                result.push(...field.filter(c => !isFieldData(c)));
+            } else {
+                result.push(...field);
+            }
+            field = [];
+        }
+        result.push(...field);
+        
+        return { commands: result, fieldData };
+    }
+    
+    /**
+     * Replace ^SN and ^SF serialized fields with the field data of a copy
+     * @param {Array<{ command: string, params: string }>} commands - Parsed commands
+     * @param {number} copy - Copy index (0 = first label)
+     * @returns {{ commands: Array<{ command: string, params: string }>, serialized: boolean }}
+     */
+    applySerialization(commands, copy) {
+        const result = [];
+        let serialized = false;
+        let dataIndex = -1;
+        
+        for (const cmd of commands) {
+            if (cmd.command === 'SN') {
+                // ^SN takes the place of ^FD
+                serialized = true;
+                dataIndex = result.length;
+                result.push({ ...cmd, command: 'FD', params: serialNumber(cmd.params, copy) });
+            } else if (cmd.command === 'SF') {
+                serialized = true;
+                if (dataIndex >= 0) {
+                    const data = result[dataIndex];
+                    result[dataIndex] = { ...data, params: serializeField(data.params, cmd.params, copy) };
+                }
+            } else {
+                if (cmd.command === 'FD') dataIndex = result.length;
+                if (cmd.command === 'FS') dataIndex = -1;
+                result.push(cmd);
+            }
         }
         
-        return commands;
+        return { commands: result, serialized };
+    }
+    
+    /**
+     * Read the label-wide ^PW, ^LL, ^LT, ^LS, ^PO, ^PM and ^PQ settings
+     * They apply to the whole label wherever they appear; the last one wins.
+     * @param {Array<{ command: string, params: string }>} commands - Parsed commands
+     */
+    applyLabelSettings(commands) {
+        for (const cmd of commands) {
+            const value = cmd.params.split(',')[0].trim();
+            this.currentCommand = cmd;
+            switch (cmd.command) {
+                case 'PW':
+                    this.printWidth = this.numberParam(value, this.printWidth, { name: 'print width', min: 2 });
+                    break;
+                case 'LL':
+                    this.labelLength = this.numberParam(value, this.labelLength, { name: 'label length', min: 1, max: 32000 });
+                    break;
+                case 'LT':
+                    this.labelTop = this.numberParam(value, this.labelTop, { name: 'label top', min: -120, max: 120 });
+                    break;
+                case 'LS':
+                    this.labelShift = this.numberParam(value, this.labelShift, { name: 'label shift', min: -9999, max: 9999 });
+                    break;
+                case 'PO':
+                    this.printInverted = value.toUpperCase() === 'I';
+                    break;
+                case 'PM':
+                    this.printMirrored = value.toUpperCase() === 'Y';
+                    break;
+                case 'PQ': {
+                    // ^PQq,p,r,o - quantity, pause every p labels (0 = never),
+                    // replicates of each serial value, override pause (Y/N)
+                    const parts = cmd.params.split(',');
+                    this.printQuantity = {
+                        total: this.numberParam(value, 1, { name: 'print quantity', min: 1, max: 99999999 }),
+                        pauseEvery: this.numberParam(parts[1], 0, { name: 'pause count', min: 0, max: 99999999 }),
+                        replicates: this.numberParam(parts[2], 0, { name: 'replicate count', min: 0, max: 99999999 }),
+                        overridePause: (parts[3] || '').trim().toUpperCase() === 'Y'
+                    };
+                    break;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Set the label coordinate transform on the render target
+     * Field coordinates are moved by the label home (^LH), then by the
+     * label shift (^LS, positive moves left) and label top (^LT, positive
+     * moves down), and the result is mirrored (^PM Y) and turned upside
+     * down (^PO I) within the label.
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     */
+    applyLabelTransform(target) {
+        target.setTransform(1, 0, 0, 1, 0, 0);
+        if (this.printInverted) {
+            target.transform(-1, 0, 0, -1, this.labelWidth, this.labelHeight);
+        }
+        if (this.printMirrored) {
+            target.transform(-1, 0, 0, 1, this.labelWidth, 0);
+        }
+        target.translate(this.labelHomeX - this.labelShift, this.labelHomeY + this.labelTop);
+    }
+    
+    /**
+     * Normalize a stored format name to device:name.extension
+     * @param {string} params - ^DF/^XF parameter, e.g. "R:LABEL.ZPL" or "LABEL"
+     * @returns {string}
+     */
+    storedFormatName(params) {
+        return this.storedObjectName(params, 'ZPL');
+    }
+    
+    /**
+     * Normalize a stored object name to device:name.extension
+     * The device defaults to R: (DRAM).
+     * @param {string} params - Parameters starting with the name, e.g. "E:LOGO.GRF" or "LOGO"
+     * @param {string} extension - Extension used when the name has none
+     * @returns {string}
+     */
+    storedObjectName(params, extension) {
+        let name = params.split(',')[0].trim().toUpperCase() || 'UNKNOWN';
+        if (!name.includes(':')) name = 'R:' + name;
+        if (!name.includes('.')) name += '.' + extension;
+        return name;
     }
     
     /**
      * Execute a single ZPL command
-     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {RasterTarget|CanvasTarget} target - Render target
      * @param {{ command: string, params: string }} cmd - Command object
      */
-    executeCommand(ctx, cmd) {
+    executeCommand(target, cmd) {
         switch (cmd.command) {
             case 'XA': // Start format
                 break;
@@ -123,15 +478,33 @@ export class ZPLRenderer {
             case 'XZ': // End format
                 break;
                 
+            case 'FX': // Comment
+                break;
+                
+            case 'CC': // Change Caret
+            case 'CT': // Change Tilde
+            case 'CD': // Change Delimiter
+                // Applied by the tokenizer
+                break;
+                
             case 'FO': // Field Origin
                 this.handleFieldOrigin(cmd.params);
                 break;
                 
+            case 'FT': // Field Typeset
+                this.handleFieldOrigin(cmd.params, true);
+                break;
+                
+            case 'FP': // Field Parameter
+                this.handleFieldParameter(cmd.params);
+                break;
+                
             case 'FD': // Field Data
-                this.handleFieldData(ctx, cmd.params);
+                this.handleFieldData(target, cmd.params);
                 break;
                 
             case 'FS': // Field Separator
+                this.handleFieldSeparator(target);
                 break;
                 
             case 'A': // Scalable/Bitmapped Font
@@ -143,16 +516,72 @@ export class ZPLRenderer {
                 this.handleChangeFont(cmd.params);
                 break;
                 
+            case 'CW': // Font Identifier
+                this.handleFontIdentifier(cmd.params);
+                break;
+                
+            case 'FN': // Field Number
+                this.handleFieldNumber(cmd.params);
+                break;
+                
+            case 'FH': // Field Hexadecimal Indicator
+                this.fieldHexIndicator = cmd.params[0] || '_';
+                break;
+                
+            case 'CI': // Change International Font/Encoding
+                this.handleChangeEncoding(cmd.params);
+                break;
+                
             case 'FB': // Field Block
                 this.handleFieldBlock(cmd.params);
                 break;
                 
+            case 'TB': // Text Block
+                this.handleTextBlock(cmd.params);
+                break;
+                
             case 'GB': // Graphic Box
-                this.handleGraphicBox(ctx, cmd.params);
+                this.handleGraphicBox(target, cmd.params);
+                break;
+                
+            case 'GC': // Graphic Circle
+                this.handleGraphicCircle(target, cmd.params);
+                break;
+                
+            case 'GE': // Graphic Ellipse
+                this.handleGraphicEllipse(target, cmd.params);
+                break;
+                
+            case 'GD': // Graphic Diagonal Line
+                this.handleGraphicDiagonal(target, cmd.params);
+                break;
+                
+            case 'GS': // Graphic Symbol
+                this.handleGraphicSymbol(cmd.params);
                 break;
                 
             case 'GF': // Graphic Field
-                this.handleGraphicField(ctx, cmd.params);
+                this.handleGraphicField(target, cmd.params);
+                break;
+                
+            case 'DG': // Download Graphic
+                this.handleDownloadGraphic(cmd.params);
+                break;
+                
+            case 'DY': // Download Objects
+                this.handleDownloadObject(cmd.params);
+                break;
+                
+            case 'XG': // Recall Graphic
+                this.handleRecallGraphic(target, cmd.params);
+                break;
+                
+            case 'IM': // Image Move
+                this.drawGraphic(target, this.storedGraphic(this.storedObjectName(cmd.params, 'GRF')));
+                break;
+                
+            case 'ID': // Object Delete
+                this.handleObjectDelete(cmd.params);
                 break;
                 
             case 'BY': // Bar Code Field Default
@@ -160,27 +589,80 @@ export class ZPLRenderer {
                 break;
                 
             case 'BC': // Code 128 Bar Code
-                this.handleBarcode128(ctx, cmd.params);
+                this.handleBarcode128(target, cmd.params);
+                break;
+                
+            case 'B3': // Code 39
+                this.handleCode39(target, cmd.params);
+                break;
+                
+            case 'BA': // Code 93
+                this.handleCode93(target, cmd.params);
+                break;
+                
+            case 'BE': // EAN-13
+                this.handleEAN(target, 'EAN13', cmd.params);
+                break;
+                
+            case 'B8': // EAN-8
+                this.handleEAN(target, 'EAN8', cmd.params);
+                break;
+                
+            case 'BU': // UPC-A
+                this.handleUPC(target, 'UPCA', cmd.params);
+                break;
+                
+            case 'B9': // UPC-E
+                this.handleUPC(target, 'UPCE', cmd.params);
+                break;
+                
+            case 'B2': // Interleaved 2 of 5
+                this.handleInterleaved2of5(target, cmd.params);
                 break;
                 
             case 'BQ': // QR Code
-                this.handleQRCode(ctx, cmd.params);
+                this.handleQRCode(target, cmd.params);
+                break;
+                
+            case 'BX': // Data Matrix
+                this.handleDataMatrix(target, cmd.params);
+                break;
+                
+            case 'B7': // PDF417
+                this.handlePDF417(target, cmd.params);
+                break;
+                
+            case 'B0': // Aztec
+            case 'BO':
+                this.handleAztec(target, cmd.params);
                 break;
                 
             case 'FR': // Field Reverse Print
                 this.fieldReversePrint = true;
                 break;
                 
+            case 'LR': // Label Reverse Print
+                this.labelReversePrint = cmd.params.trim().toUpperCase() === 'Y';
+                break;
+                
             case 'LH': // Label Home
-                this.handleLabelHome(cmd.params);
+                this.handleLabelHome(target, cmd.params);
                 break;
                 
-            case 'LL': // Label Length
-                // Handled by label size selector
+            case 'LT': // Label Top
+            case 'LS': // Label Shift
+            case 'PO': // Print Orientation
+            case 'PM': // Print Mirror Image
+                // Applied to the whole label by applyLabelSettings
                 break;
                 
+            case 'LL': // Label Length
             case 'PW': // Print Width
-                // Handled by label size selector
+                // Reported as labelSize; the app decides the label size
+                break;
+                
+            case 'PQ': // Print Quantity
+                // Reported as quantity; the app prints the copies
                 break;
                 
             case 'FW': // Field Orientation
@@ -188,396 +670,1660 @@ export class ZPLRenderer {
                 break;
                 
             default:
-                // Unknown command - ignore
-                console.log(`Unknown ZPL command: ^${cmd.command}`);
+                if (isKnownCommand(cmd.prefix, cmd.command)) {
+                    this.diagnose(cmd, 'info', 'Not used by the preview');
+                } else {
+                    this.diagnose(cmd, 'warning', 'Unknown command');
+                }
+        }
+    }
+    
+    /**
+     * Handle ^FO (Field Origin) and ^FT (Field Typeset) commands
+     * ^FO sets the top-left corner of the field. ^FT sets the baseline
+     * origin of text (the bottom-left corner of other fields); omitted ^FT
+     * coordinates continue after the previous text field.
+     * @param {string} params - Parameters: x, y, justification (0 left, 1 right, 2 auto)
+     * @param {boolean} [typeset=false] - True for ^FT
+     */
+    handleFieldOrigin(params, typeset = false) {
+        const parts = params.split(',');
+        const fallback = typeset ? this.nextFieldPosition : { x: 0, y: 0 };
+        
+        this.x = this.numberParam(parts[0], fallback.x, { name: 'x position', min: 0, max: 32000 });
+        this.y = this.numberParam(parts[1], fallback.y, { name: 'y position', min: 0, max: 32000 });
+        this.fieldOriginType = typeset ? 'FT' : 'FO';
+        this.fieldJustification = JUSTIFICATIONS[(parts[2] || '').trim()] || this.defaultJustification;
+        this.fieldReversePrint = false;
+        
+        const labelX = this.labelHomeX + this.x;
+        const labelY = this.labelHomeY + this.y;
+        if (labelX < 0 || labelX >= this.labelWidth || labelY < 0 || labelY >= this.labelHeight) {
+            this.warn(`Field origin ${labelX},${labelY} is outside the ${this.labelWidth} × ${this.labelHeight} dot label`);
         }
     }
     
     /**
-     * Handle ^FO (Field Origin) command
+     * Handle ^FP (Field Parameter) command
      */
-    handleFieldOrigin(params) {
+    handleFieldParameter(params) {
+        // Format: ^FPd,g - direction H (horizontal), V (vertical) or R (reverse), gap in dots
         const parts = params.split(',');
-        this.x = parseInt(parts[0]) || 0;
-        this.y = parseInt(parts[1]) || 0;
+        const direction = (parts[0] || 'H').toUpperCase();
+        
+        this.fieldParameter = {
+            direction: ['H', 'V', 'R'].includes(direction) ? direction : 'H',
+            gap: this.numberParam(parts[1], 0, { name: 'character gap', min: 0, max: 9999 })
+        };
+    }
+    
+    /**
+     * Handle ^FS (Field Separator) command - end of field
+     */
+    handleFieldSeparator(target) {
+        // A numbered field without ^FD still prints its variable data
+        if (this.fieldNumber !== null && !this.fieldDrawn) {
+            this.handleFieldData(target, '');
+        }
+        
+        this.fieldNumber = null;
+        this.fieldDrawn = false;
+        this.pendingBarcode = null;
+        this.pendingSymbol = null;
         this.fieldReversePrint = false;
+        this.fieldBlock = null;
+        this.textBlock = null;
+        this.fieldParameter = null;
+        this.fieldHexIndicator = null;
     }
     
     /**
      * Handle ^A (Font) command
      */
     handleFont(params) {
-        // Format: ^Afo,h,w or ^A0N,h,w
-        const match = params.match(/^([A-Z0-9])?([NRIB])?(?:,(\d+))?(?:,(\d+))?/i);
-        if (match) {
-            if (match[1]) this.font = match[1];
-            if (match[2]) this.rotation = match[2].toUpperCase();
-            if (match[3]) this.fontHeight = parseInt(match[3]);
-            if (match[4]) this.fontWidth = parseInt(match[4]) || this.fontHeight;
+        // Format: ^Afo,h,w or ^A@o,h,w,d:o.x (font by file name)
+        const match = params.match(/^([A-Z0-9@])?([NRIB])?(?:,([^,]*))?(?:,([^,]*))?(?:,([^,]*))?/i);
+        if (!match) return;
+        
+        if (match[2]) this.rotation = match[2].toUpperCase();
+        this.setFontSize(match[3], match[4]);
+        
+        if (match[1] === '@') {
+            // Without a file name the last ^A@ font is used again
+            if (match[5]) this.font = this.customFontName(match[5]);
+        } else if (match[1]) {
+            this.font = match[1].toUpperCase();
         }
     }
     
     /**
-     * Handle ^CF (Change Font) command
+     * Handle ^CW (Font Identifier) command
      */
-    handleChangeFont(params) {
+    handleFontIdentifier(params) {
+        // Format: ^CWa,d:o.x - use a font file for font letter a
         const parts = params.split(',');
-        if (parts[0]) this.font = parts[0];
-        if (parts[1]) this.fontHeight = parseInt(parts[1]);
-        if (parts[2]) this.fontWidth = parseInt(parts[2]);
+        const letter = (parts[0] || '').trim().toUpperCase();
+        if (!/^[A-Z0-9]$/.test(letter)) {
+            throw new Error(`Invalid font identifier: ${parts[0]}`);
+        }
+        this.fontAssignments.set(letter, this.customFontName(parts[1] || ''));
     }
     
     /**
-     * Handle ^FD (Field Data) command - render text
+     * Check that a ^A@/^CW font file is loaded and normalize its name
+     * The drive is ignored; without an extension any loaded font with that
+     * name matches.
+     * @param {string} reference - Font file reference, e.g. "E:BRAND.TTF"
+     * @returns {string} Name of the loaded font file, e.g. "BRAND.TTF"
      */
-    handleFieldData(ctx, params) {
-        const text = params.replace(/\\&/g, '&').replace(/\\\\/g, '\\');
-        
-        ctx.save();
-        
-        // Set font
-        const fontDef = FONTS[this.font] || FONTS['0'];
-        ctx.font = `${fontDef.style} ${this.fontHeight}px ${fontDef.name}`;
-        ctx.textBaseline = 'top';
-        
-        // Apply rotation
-        const angle = ROTATIONS[this.rotation] || 0;
-        if (angle !== 0) {
-            ctx.translate(this.x, this.y);
-            ctx.rotate((angle * Math.PI) / 180);
-            ctx.translate(-this.x, -this.y);
+    customFontName(reference) {
+        const name = reference.trim().replace(/^[A-Z]:/i, '').toUpperCase();
+        if (this.fonts.has(name)) {
+            return name;
         }
-        
-        // Draw text
-        if (this.fieldReversePrint) {
-            const metrics = ctx.measureText(text);
-            const width = metrics.width;
-            const height = this.fontHeight;
-            ctx.fillStyle = '#000000';
-            ctx.fillRect(this.x - 2, this.y - 2, width + 4, height + 4);
-            ctx.fillStyle = '#ffffff';
-        } else {
-            ctx.fillStyle = '#000000';
+        const match = !name.includes('.') && [...this.fonts.keys()].find(font => font.split('.')[0] === name);
+        if (!match) {
+            throw new Error(`Font not found: ${reference.trim() || '(no name)'}`);
         }
-        
-        ctx.fillText(text, this.x, this.y);
-        ctx.restore();
-        
-        this.fieldReversePrint = false;
+        return match;
     }
     
     /**
-     * Handle ^FB (Field Block) command
+     * Handle ^CF (Change Font) command
      */
-    handleFieldBlock(params) {
-        // For now, just store block width - full implementation would handle wrapping
+    handleChangeFont(params) {
         const parts = params.split(',');
-        this.blockWidth = parseInt(parts[0]) || this.labelWidth;
+        if (parts[0]) this.font = parts[0].toUpperCase();
+        this.setFontSize(parts[1], parts[2]);
     }
     
     /**
-     * Handle ^GB (Graphic Box) command
+     * Set the font height and width of ^A or ^CF
+     * A height without width scales the width along (width 0).
+     * @param {string|undefined} height - Height parameter
+     * @param {string|undefined} width - Width parameter
      */
-    handleGraphicBox(ctx, params) {
-        const parts = params.split(',');
-        const width = parseInt(parts[0]) || 1;
-        const height = parseInt(parts[1]) || 1;
-        const thickness = parseInt(parts[2]) || 1;
-        const color = (parts[3] || 'B').toUpperCase();
-        const rounding = parseInt(parts[4]) || 0;
-        
-        ctx.save();
-        ctx.strokeStyle = color === 'W' ? '#ffffff' : '#000000';
-        ctx.fillStyle = color === 'W' ? '#ffffff' : '#000000';
-        ctx.lineWidth = thickness;
-        
-        if (rounding > 0) {
-            const radius = Math.min(rounding, width / 2, height / 2);
-            this.roundRect(ctx, this.x, this.y, width, height, radius);
-            if (thickness >= Math.min(width, height) / 2) {
-                ctx.fill();
-            } else {
-                ctx.stroke();
-            }
-        } else {
-            if (thickness >= Math.min(width, height) / 2) {
-                ctx.fillRect(this.x, this.y, width, height);
-            } else {
-                ctx.strokeRect(
-                    this.x + thickness / 2,
-                    this.y + thickness / 2,
-                    width - thickness,
-                    height - thickness
-                );
-            }
+    setFontSize(height, width) {
+        if ((height || '').trim()) {
+            this.fontHeight = this.numberParam(height, this.fontHeight, { name: 'font height', min: 1, max: 32000 });
+            this.fontWidth = 0;
+        }
+        this.fontWidth = this.numberParam(width, this.fontWidth, { name: 'font width', min: 0, max: 32000 });
+    }
+    
+    /**
+     * Handle ^FN (Field Number) command
+     */
+    handleFieldNumber(params) {
+        // Format: ^FN#"prompt"
+        const match = params.match(/^(\d+)(?:"([^"]*)"?)?/);
+        if (!match) {
+            throw new Error(`Invalid field number: ${params}`);
         }
         
-        ctx.restore();
+        const number = parseInt(match[1], 10);
+        this.fieldNumber = number;
+        if (!this.fields.some(field => field.number === number)) {
+            this.fields.push({ number, prompt: match[2] || '', value: '' });
+        }
     }
     
     /**
-     * Draw rounded rectangle
+     * Resolve the data of the current ^FN field
+     * Values entered by the user win over data supplied by the recalling
+     * label, which wins over the field data in the format itself.
+     * @param {string} defaultData - Field data in the format
+     * @returns {string}
      */
-    roundRect(ctx, x, y, width, height, radius) {
-        ctx.beginPath();
-        ctx.moveTo(x + radius, y);
-        ctx.lineTo(x + width - radius, y);
-        ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
-        ctx.lineTo(x + width, y + height - radius);
-        ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
-        ctx.lineTo(x + radius, y + height);
-        ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
-        ctx.lineTo(x, y + radius);
-        ctx.quadraticCurveTo(x, y, x + radius, y);
-        ctx.closePath();
+    variableFieldData(defaultData) {
+        const field = this.fields.find(f => f.number === this.fieldNumber);
+        const value = this.fieldData.has(this.fieldNumber) ? this.fieldData.get(this.fieldNumber) : defaultData;
+        if (field && !field.value) {
+            field.value = value;
+        }
+        
+        const override = this.fieldValues[this.fieldNumber];
+        return override !== undefined && override !== '' ? override : value;
     }
     
     /**
-     * Handle ^GF (Graphic Field) command
+     * Handle ^CI (Change International Font/Encoding) command
      */
-    handleGraphicField(ctx, params) {
-        // Format: ^GFa,b,c,d,data
-        const match = params.match(/^([ABH]),(\d+),(\d+),(\d+),(.+)/is);
-        if (!match) return;
+    handleChangeEncoding(params) {
+        // Format: ^CIa,s1,d1,s2,d2,...
+        const parts = params.split(',');
+        const charset = this.numberParam(parts[0], 0, { name: 'character set' });
+        if (!isSupportedCharset(charset)) {
+            throw new Error(`Unsupported character set: ${charset}`);
+        }
         
-        const format = match[1].toUpperCase();
-        const totalBytes = parseInt(match[2]);
-        const rowBytes = parseInt(match[4]);
-        const data = match[5];
+        this.charset = charset;
+        this.charsetRemap = new Map();
+        // Each pair prints the character at s (output) for input byte d
+        for (let i = 1; i + 1 < parts.length; i += 2) {
+            const source = parseInt(parts[i]);
+            const destination = parseInt(parts[i + 1]);
+            if (source >= 0 && source <= 255 && destination >= 0 && destination <= 255) {
+                this.charsetRemap.set(destination, source);
+            }
+        }
+    }
+    
+    /**
+     * Handle ^FD (Field Data) command - render text
+     */
+    handleFieldData(target, params) {
+        if (this.fieldNumber !== null) {
+            params = this.variableFieldData(params);
+            this.fieldDrawn = true;
+            if (!params) return;
+        }
         
-        const height = Math.ceil(totalBytes / rowBytes);
-        const width = rowBytes * 8;
+        const data = decodeFieldData(params, {
+            hexIndicator: this.fieldHexIndicator,
+            charset: this.charset,
+            remap: this.charsetRemap
+        });
         
-        let bytes;
-        if (format === 'A') {
-            // ASCII hex
-            bytes = this.hexToBytes(data);
-        } else if (format === 'B') {
-            // Binary
-            bytes = new Uint8Array(data.split('').map(c => c.charCodeAt(0)));
-        } else if (format === 'H') {
-            // Hex with compression
-            bytes = this.decodeCompressedHex(data, totalBytes);
+        if (this.pendingBarcode && this.drawBarcode(target, this.pendingBarcode, data)) {
+            this.pendingBarcode = null;
+            return;
         }
         
-        if (!bytes) return;
+        if (this.pendingSymbol) {
+            this.drawSymbol(target, this.pendingSymbol, data);
+            this.pendingSymbol = null;
+            return;
+        }
         
-        // Draw bitmap
-        const imageData = ctx.createImageData(width, height);
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const byteIdx = y * rowBytes + Math.floor(x / 8);
-                const bitIdx = 7 - (x % 8);
-                const isBlack = byteIdx < bytes.length && !((bytes[byteIdx] >> bitIdx) & 1);
-                
-                const pixelIdx = (y * width + x) * 4;
-                const color = isBlack ? 0 : 255;
-                imageData.data[pixelIdx] = color;
-                imageData.data[pixelIdx + 1] = color;
-                imageData.data[pixelIdx + 2] = color;
-                imageData.data[pixelIdx + 3] = 255;
-            }
+        if (this.fieldBlock || this.textBlock) {
+            this.drawTextBlock(target, data, this.fieldBlock || this.textBlock);
+            this.fieldReversePrint = false;
+            return;
         }
         
-        ctx.putImageData(imageData, this.x, this.y);
+        this.drawFieldText(target, data.replace(/\\&/g, '&').replace(/\\\\/g, '\\'));
+        this.fieldReversePrint = false;
     }
     
     /**
-     * Convert hex string to bytes
+     * Draw a single-line text field
+     * ^FP lays the characters out horizontally, vertically (one below the
+     * other) or in reverse order, with an extra gap between characters.
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @param {string} text - Field text
      */
-    hexToBytes(hex) {
-        const clean = hex.replace(/\s/g, '');
-        const bytes = new Uint8Array(clean.length / 2);
-        for (let i = 0; i < bytes.length; i++) {
-            bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+    drawFieldText(target, text) {
+        target.save();
+        const font = this.fieldFont(target);
+        const { baseline } = font;
+        const { direction, gap } = this.fieldParameter || { direction: 'H', gap: 0 };
+        const chars = Array.from(text);
+        
+        // Characters with their baseline position in field-local coordinates
+        let glyphs;
+        let width;
+        let height = font.height;
+        let end;
+        if (direction === 'V') {
+            glyphs = chars.map((char, i) => ({ text: char, x: 0, y: baseline + i * (font.height + gap) }));
+            width = Math.max(0, ...chars.map(char => font.measure(char)));
+            height = Math.max(font.height, chars.length * (font.height + gap) - gap);
+            end = { x: 0, y: baseline + chars.length * (font.height + gap) };
+        } else if (direction === 'R' || gap > 0) {
+            let x = 0;
+            glyphs = (direction === 'R' ? chars.reverse() : chars).map(char => {
+                const glyph = { text: char, x, y: baseline };
+                x += font.measure(char) + gap;
+                return glyph;
+            });
+            width = Math.max(0, x - gap);
+            end = { x: width, y: baseline };
+        } else {
+            glyphs = [{ text, x: 0, y: baseline }];
+            width = font.measure(text);
+            end = { x: width, y: baseline };
         }
-        return bytes;
+        
+        const placement = {
+            baseline,
+            rightJustified: this.fieldJustification === 'R' ||
+                (this.fieldJustification === 'A' && RTL_TEXT.test(text))
+        };
+        
+        this.withFieldTransform(target, this.rotation, width, height, () => {
+            target.setColor('black');
+            for (const glyph of glyphs) {
+                font.draw(glyph.text, glyph.x, glyph.y);
+            }
+        }, placement);
+        target.restore();
+        
+        // ^FT without coordinates continues where this field ends
+        const [a, b, c, d, e, f] = this.fieldTransform(this.rotation, width, height, placement);
+        this.nextFieldPosition = {
+            x: Math.round(a * end.x + c * end.y + e),
+            y: Math.round(b * end.x + d * end.y + f)
+        };
     }
     
     /**
-     * Decode compressed hex (ZPL compression)
+     * Get the current ^A/^CF font for measuring and drawing text
+     * Bitmap fonts A-H are drawn dot by dot and magnified by whole numbers,
+     * as on the printer. Font 0 and loaded font files are scaled to the
+     * exact height and width; a width of 0 keeps the font's own proportions.
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @returns {{ height: number, baseline: number, measure: (text: string) => number, draw: (text: string, x: number, y: number) => void }}
+     *   Line height and baseline offset from the top of the line in dots;
+     *   draw takes the start of the baseline and uses the current fill style
      */
-    decodeCompressedHex(data, totalBytes) {
-        // Basic implementation - handles common compression
-        const bytes = new Uint8Array(totalBytes);
-        let byteIdx = 0;
-        let i = 0;
-        
-        while (i < data.length && byteIdx < totalBytes) {
-            const char = data[i];
+    fieldFont(target) {
+        // ^CW can replace any font letter with a loaded font file
+        const name = this.fontAssignments.get(this.font) || this.font;
+        const bitmap = bitmapFont(name);
+        if (bitmap) {
+            const magnify = (size, base) => Math.min(MAX_MAGNIFICATION, Math.max(1, Math.round(size / base)));
+            const scaleY = magnify(this.fontHeight, bitmap.height);
+            const scaleX = this.fontWidth ? magnify(this.fontWidth, bitmap.width) : scaleY;
+            const advance = (bitmap.width + bitmap.gap) * scaleX;
             
-            if (char >= 'G' && char <= 'Y') {
-                // Repeat count (G=1, H=2, ..., Y=19)
-                const count = char.charCodeAt(0) - 'F'.charCodeAt(0);
-                const hexChar = data[i + 1] || '0';
-                const nibble = parseInt(hexChar, 16);
-                const byte = (nibble << 4) | nibble;
-                for (let j = 0; j < count && byteIdx < totalBytes; j++) {
-                    bytes[byteIdx++] = byte;
-                }
-                i += 2;
-            } else if (char >= 'g' && char <= 'z') {
-                // Repeat count * 20
-                const count = (char.charCodeAt(0) - 'f'.charCodeAt(0)) * 20;
-                const hexChar = data[i + 1] || '0';
-                const nibble = parseInt(hexChar, 16);
-                const byte = (nibble << 4) | nibble;
-                for (let j = 0; j < count && byteIdx < totalBytes; j++) {
-                    bytes[byteIdx++] = byte;
+            return {
+                height: bitmap.height * scaleY,
+                baseline: bitmap.baseline * scaleY,
+                measure: (text) => Array.from(text).length * advance,
+                draw: (text, x, y) => {
+                    const top = Math.round(y) - bitmap.baseline * scaleY;
+                    Array.from(text).forEach((char, i) => {
+                        this.drawGlyph(target, glyphDots(name, char), bitmap.width,
+                            Math.round(x) + i * advance, top, scaleX, scaleY);
+                    });
                 }
-                i += 2;
-            } else if (/[0-9A-Fa-f]/.test(char)) {
-                // Regular hex pair
-                const hex = data.substr(i, 2);
-                bytes[byteIdx++] = parseInt(hex, 16) || 0;
-                i += 2;
-            } else {
-                i++;
-            }
+            };
         }
         
-        return bytes;
+        const fontDef = this.fonts.has(name)
+            ? { name: `"${this.fonts.get(name)}"`, style: 'normal', widthScale: 1 }
+            : FONTS[name] || FONTS['0'];
+        const height = this.fontHeight;
+        const font = {
+            family: fontDef.name,
+            style: fontDef.style,
+            size: height,
+            scaleX: fontDef.widthScale * (this.fontWidth || height) / height
+        };
+        const ascent = target.fontAscent(font);
+        
+        return {
+            height,
+            baseline: Math.min(height, Math.round(ascent || height * 0.8)),
+            measure: (text) => target.measureText(text, font),
+            draw: (text, x, y) => target.fillText(text, x, y, font)
+        };
     }
     
     /**
-     * Handle ^BY (Barcode Defaults) command
+     * Draw the dots of a bitmap font character
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @param {Uint8Array} dots - Glyph dots row by row (1 = dark)
+     * @param {number} width - Glyph width in dots
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} scaleX - Horizontal magnification
+     * @param {number} scaleY - Vertical magnification
      */
-    handleBarcodeDefaults(params) {
-        const parts = params.split(',');
-        if (parts[0]) this.barcodeModuleWidth = parseInt(parts[0]);
-        if (parts[1]) this.barcodeWideToNarrow = parseFloat(parts[1]);
-        if (parts[2]) this.barcodeHeight = parseInt(parts[2]);
+    drawGlyph(target, dots, width, x, y, scaleX, scaleY) {
+        const height = dots.length / width;
+        for (let row = 0; row < height; row++) {
+            // Merge runs of dark dots into single rectangles
+            let runStart = -1;
+            for (let column = 0; column <= width; column++) {
+                if (column < width && dots[row * width + column]) {
+                    if (runStart < 0) runStart = column;
+                } else if (runStart >= 0) {
+                    target.fillRect(x + runStart * scaleX, y + row * scaleY, (column - runStart) * scaleX, scaleY);
+                    runStart = -1;
+                }
+            }
+        }
     }
     
     /**
-     * Handle ^BC (Code 128 Barcode) command
+     * Handle ^FB (Field Block) command
+     */
+    handleFieldBlock(params) {
+        // Format: ^FBa,b,c,d,e
+        const parts = params.split(',');
+        
+        this.fieldBlock = {
+            orientation: null,
+            width: this.numberParam(parts[0], 0, { name: 'block width', min: 0, max: 32000 }) || this.labelWidth,
+            maxLines: this.numberParam(parts[1], 1, { name: 'maximum lines', min: 1, max: 9999 }),
+            lineSpacing: this.numberParam(parts[2], 0, { name: 'line spacing', min: -9999, max: 9999 }),
+            justification: (parts[3] || 'L').toUpperCase(),
+            hangingIndent: this.numberParam(parts[4], 0, { name: 'hanging indent', min: 0, max: 9999 })
+        };
+    }
+    
+    /**
+     * Handle ^TB (Text Block) command
+     */
+    handleTextBlock(params) {
+        // Format: ^TBa,b,c
+        const parts = params.split(',');
+        
+        this.textBlock = {
+            orientation: parts[0] ? parts[0].toUpperCase() : null,
+            width: this.numberParam(parts[1], 0, { name: 'block width', min: 0, max: 32000 }) || this.labelWidth,
+            height: this.numberParam(parts[2], 0, { name: 'block height', min: 0, max: 32000 }) || this.labelHeight,
+            lineSpacing: 0,
+            justification: 'L',
+            hangingIndent: 0
+        };
+    }
+    
+    /**
+     * Draw field data wrapped into a ^FB field block or ^TB text block
+     * ^FB prints at most maxLines lines; text beyond that overprints the
+     * last line. ^TB drops the lines that do not fit in the block height.
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @param {string} data - Field data (\& breaks lines, \\ is a backslash)
+     * @param {Object} block - Block settings from handleFieldBlock/handleTextBlock
+     */
+    drawTextBlock(target, data, block) {
+        const text = data.replace(/\\(.)/g, (match, char) => (char === '&' ? '\n' : char === '\\' ? '\\' : match));
+        
+        target.save();
+        const font = this.fieldFont(target);
+        const { baseline } = font;
+        
+        let lines = this.wrapText(font.measure, text, block.width, block.hangingIndent);
+        const lineHeight = font.height + block.lineSpacing;
+        let rows;
+        if (block.maxLines) {
+            rows = Math.min(lines.length, block.maxLines);
+        } else {
+            rows = Math.min(lines.length, Math.floor(block.height / font.height));
+            lines = lines.slice(0, rows);
+        }
+        
+        // ^FT places the baseline of the last line at the field origin
+        const orientation = block.orientation || this.rotation;
+        const placement = { baseline: (rows - 1) * lineHeight + baseline };
+        this.withFieldTransform(target, orientation, block.width, rows * lineHeight, () => {
+            target.setColor('black');
+            
+            lines.forEach((line, i) => {
+                const y = Math.min(i, rows - 1) * lineHeight + baseline;
+                const indent = i > 0 ? block.hangingIndent : 0;
+                const available = block.width - indent;
+                const width = font.measure(line.text);
+                
+                if (block.justification === 'J' && !line.paragraphEnd && line.text.includes(' ')) {
+                    // Spread the remaining width over the gaps between words
+                    const words = line.text.split(' ');
+                    const wordsWidth = words.reduce((sum, word) => sum + font.measure(word), 0);
+                    const gap = (available - wordsWidth) / (words.length - 1);
+                    let x = indent;
+                    for (const word of words) {
+                        font.draw(word, x, y);
+                        x += font.measure(word) + gap;
+                    }
+                    return;
+                }
+                
+                let x = indent;
+                if (block.justification === 'C') x += (available - width) / 2;
+                if (block.justification === 'R') x += available - width;
+                font.draw(line.text, x, y);
+            });
+        }, placement);
+        
+        target.restore();
+    }
+    
+    /**
+     * Break text into lines that fit a block width
+     * Words wider than a line are split between characters.
+     * @param {(text: string) => number} measure - Text width in dots
+     * @param {string} text - Text with \n line breaks
+     * @param {number} width - Block width in dots
+     * @param {number} hangingIndent - Indent of every line after the first
+     * @returns {Array<{ text: string, paragraphEnd: boolean }>}
+     */
+    wrapText(measure, text, width, hangingIndent) {
+        const lines = [];
+        const available = () => width - (lines.length > 0 ? hangingIndent : 0);
+        const fits = (candidate) => measure(candidate) <= available();
+        
+        for (const paragraph of text.split('\n')) {
+            let line = '';
+            for (const word of paragraph.split(' ')) {
+                const candidate = line ? `${line} ${word}` : word;
+                if (fits(candidate)) {
+                    line = candidate;
+                    continue;
+                }
+                if (line) {
+                    lines.push({ text: line, paragraphEnd: false });
+                }
+                
+                let rest = word;
+                while (rest.length > 1 && !fits(rest)) {
+                    let count = rest.length - 1;
+                    while (count > 1 && !fits(rest.slice(0, count))) count--;
+                    lines.push({ text: rest.slice(0, count), paragraphEnd: false });
+                    rest = rest.slice(count);
+                }
+                line = rest;
+            }
+            lines.push({ text: line, paragraphEnd: true });
+        }
+        
+        return lines;
+    }
+    
+    /**
+     * Handle ^GB (Graphic Box) command
+     */
+    handleGraphicBox(target, params) {
+        const parts = params.split(',');
+        const width = this.numberParam(parts[0], 1, { name: 'box width', min: 0, max: 32000 }) || 1;
+        const height = this.numberParam(parts[1], 1, { name: 'box height', min: 0, max: 32000 }) || 1;
+        const thickness = this.numberParam(parts[2], 1, { name: 'border thickness', min: 1, max: 32000 });
+        const color = (parts[3] || 'B').toUpperCase();
+        const rounding = this.numberParam(parts[4], 0, { name: 'corner rounding', min: 0, max: 8 });
+        const { x, y } = this.graphicOrigin(width, height);
+        const filled = thickness >= Math.min(width, height) / 2;
+        
+        this.drawField(target, () => {
+            target.save();
+            target.setColor(color === 'W' ? 'white' : 'black');
+            
+            if (rounding > 0) {
+                const radius = Math.min(rounding, width / 2, height / 2);
+                this.fillRoundedBox(target, x, y, width, height, filled ? height : thickness, radius);
+            } else if (filled) {
+                target.fillRect(x, y, width, height);
+            } else {
+                target.fillRect(x, y, width, thickness);
+                target.fillRect(x, y + height - thickness, width, thickness);
+                target.fillRect(x, y + thickness, thickness, height - 2 * thickness);
+                target.fillRect(x + width - thickness, y + thickness, thickness, height - 2 * thickness);
+            }
+            
+            target.restore();
+        });
+    }
+    
+    /**
+     * Handle ^GC (Graphic Circle) command
+     */
+    handleGraphicCircle(target, params) {
+        // Format: ^GCd,t,c
+        const parts = params.split(',');
+        const diameter = this.numberParam(parts[0], 3, { name: 'circle diameter', min: 3, max: 4095 });
+        const thickness = this.numberParam(parts[1], 1, { name: 'border thickness', min: 1, max: 4095 });
+        this.drawGraphicEllipse(target, diameter, diameter, thickness, parts[2]);
+    }
+    
+    /**
+     * Handle ^GE (Graphic Ellipse) command
+     */
+    handleGraphicEllipse(target, params) {
+        // Format: ^GEw,h,t,c - width and height default to the thickness
+        const parts = params.split(',');
+        const thickness = this.numberParam(parts[2], 1, { name: 'border thickness', min: 1, max: 4095 });
+        const width = Math.max(3, this.numberParam(parts[0], 0, { name: 'width', min: 0, max: 4095 }) || thickness);
+        const height = Math.max(3, this.numberParam(parts[1], 0, { name: 'height', min: 0, max: 4095 }) || thickness);
+        this.drawGraphicEllipse(target, width, height, thickness, parts[3]);
+    }
+    
+    /**
+     * Draw a ^GC/^GE outline, filled when the thickness reaches the center
+     */
+    drawGraphicEllipse(target, width, height, thickness, color) {
+        this.withFieldTransform(target, 'N', width, height, () => {
+            target.setColor((color || 'B').trim().toUpperCase() === 'W' ? 'white' : 'black');
+            this.fillEllipseRing(target, 0, 0, width, height, thickness);
+        });
+    }
+    
+    /**
+     * Fill the ring between an ellipse and the ellipse inset by a thickness
+     * The ring is filled one pixel row at a time, so its edges are as
+     * crisp as those of ^GB.
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @param {number} x - Left edge of the bounding box
+     * @param {number} y - Top edge of the bounding box
+     * @param {number} width - Bounding box width
+     * @param {number} height - Bounding box height
+     * @param {number} thickness - Ring thickness in dots
+     * @param {boolean} [open=false] - Leave a gap on the right side (a C shape)
+     */
+    fillEllipseRing(target, x, y, width, height, thickness, open = false) {
+        const rx = width / 2;
+        const ry = height / 2;
+        const innerRx = rx - thickness;
+        const innerRy = ry - thickness;
+        
+        for (let row = 0; row < height; row++) {
+            const dy = row + 0.5 - ry;
+            const outer = rx * Math.sqrt(Math.max(0, 1 - (dy / ry) ** 2));
+            const left = Math.round(rx - outer);
+            const right = Math.round(rx + outer);
+            if (right <= left) continue;
+            
+            const inner = innerRx > 0 && innerRy > 0 && Math.abs(dy) < innerRy
+                ? innerRx * Math.sqrt(1 - (dy / innerRy) ** 2)
+                : -1;
+            const gap = open && Math.abs(dy) < ry * 0.4;
+            if (inner < 0) {
+                target.fillRect(x + left, y + row, (gap ? Math.round(rx) : right) - left, 1);
+                continue;
+            }
+            
+            const innerLeft = Math.round(rx - inner);
+            const innerRight = Math.round(rx + inner);
+            target.fillRect(x + left, y + row, Math.max(1, innerLeft - left), 1);
+            if (!gap) {
+                target.fillRect(x + innerRight, y + row, Math.max(1, right - innerRight), 1);
+            }
+        }
+    }
+    
+    /**
+     * Handle ^GD (Graphic Diagonal Line) command
+     */
+    handleGraphicDiagonal(target, params) {
+        // Format: ^GDw,h,t,c,o - o is R or / (right-leaning) or L or \ (left-leaning)
+        const parts = params.split(',');
+        const thickness = this.numberParam(parts[2], 1, { name: 'border thickness', min: 1, max: 4095 });
+        const width = Math.max(3, this.numberParam(parts[0], 0, { name: 'width', min: 0, max: 4095 }) || thickness);
+        const height = Math.max(3, this.numberParam(parts[1], 0, { name: 'height', min: 0, max: 4095 }) || thickness);
+        const color = (parts[3] || 'B').trim().toUpperCase();
+        const leftLeaning = ['L', '\\'].includes((parts[4] || 'R').trim().toUpperCase());
+        
+        this.withFieldTransform(target, 'N', width, height, () => {
+            target.setColor(color === 'W' ? 'white' : 'black');
+            // Each row holds a run of thickness dots, moving across the box;
+            // shallow lines stretch the run so neighbouring rows still touch
+            const travel = Math.max(0, width - thickness);
+            const offsetAt = row => Math.round(travel * (leftLeaning ? row : height - 1 - row) / Math.max(1, height - 1));
+            for (let row = 0; row < height; row++) {
+                const offset = offsetAt(row);
+                const next = row + 1 < height ? offsetAt(row + 1) : offset;
+                const run = Math.min(thickness, width);
+                const left = Math.min(offset, next + 1);
+                const right = Math.max(offset + run, next + run - 1);
+                target.fillRect(left, row, right - left, 1);
+            }
+        });
+    }
+    
+    /**
+     * Handle ^GS (Graphic Symbol) command
+     * The symbol is chosen by the field data: A ®, B ©, C ™, D UL, E CSA.
+     */
+    handleGraphicSymbol(params) {
+        // Format: ^GSo,h,w - size defaults to the ^CF font size
+        const parts = params.split(',');
+        const height = this.numberParam(parts[1], this.fontHeight, { name: 'symbol height', min: 1, max: 32000 });
+        this.pendingSymbol = {
+            orientation: (parts[0] || this.rotation).trim().toUpperCase(),
+            height,
+            width: this.numberParam(parts[2], this.fontWidth || height, { name: 'symbol width', min: 1, max: 32000 })
+        };
+    }
+    
+    /**
+     * Draw a ^GS symbol
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @param {{ orientation: string, height: number, width: number }} symbol - Symbol size
+     * @param {string} data - Field data; the first character selects the symbol
+     */
+    drawSymbol(target, symbol, data) {
+        const { width, height } = symbol;
+        const { ring, letters } = SYMBOLS[(data[0] || 'A').toUpperCase()] || SYMBOLS.A;
+        
+        // Letters fill the middle of a ring, or the top half of the field for ™
+        const letterHeight = Math.max(5, Math.round(height * (ring ? 0.45 : 0.5)));
+        const area = ring ? width * 0.55 : width;
+        const cell = area / letters.length;
+        const letterWidth = Math.max(3, Math.round(cell * 0.8));
+        const left = (width - area) / 2;
+        const top = ring ? Math.round((height - letterHeight) / 2) : 0;
+        
+        this.withFieldTransform(target, symbol.orientation, width, height, () => {
+            target.setColor('black');
+            if (ring) {
+                const thickness = Math.max(1, Math.round(Math.min(width, height) / 12));
+                this.fillEllipseRing(target, 0, 0, width, height, thickness, ring === 'open');
+            }
+            [...letters].forEach((letter, i) => {
+                const x = Math.round(left + i * cell + (cell - letterWidth) / 2);
+                this.drawGlyph(target, letterDots(letter, letterWidth, letterHeight), letterWidth, x, top, 1, 1);
+            });
+        });
+    }
+    
+    /**
+     * Fill the border of a box with rounded corners, one row at a time
+     * The inner edge is the box inset by the thickness, with the corner
+     * radius reduced by as much.
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Box width
+     * @param {number} height - Box height
+     * @param {number} thickness - Border thickness in dots
+     * @param {number} radius - Corner radius in dots
+     */
+    fillRoundedBox(target, x, y, width, height, thickness, radius) {
+        // Horizontal inset of a rounded box edge at a distance from its top
+        const inset = (dy, boxHeight, r) => {
+            const fromEdge = Math.min(dy, boxHeight - dy);
+            if (r <= 0 || fromEdge >= r) return 0;
+            return Math.round(r - Math.sqrt(r * r - (r - fromEdge) ** 2));
+        };
+        const innerRadius = radius - thickness;
+        
+        for (let row = 0; row < height; row++) {
+            const dy = row + 0.5;
+            const left = inset(dy, height, radius);
+            const right = width - left;
+            if (right <= left) continue;
+            
+            if (dy < thickness || dy > height - thickness || width <= 2 * thickness) {
+                target.fillRect(x + left, y + row, right - left, 1);
+                continue;
+            }
+            
+            const innerLeft = thickness + inset(dy - thickness, height - 2 * thickness, innerRadius);
+            const innerRight = width - innerLeft;
+            target.fillRect(x + left, y + row, Math.max(1, innerLeft - left), 1);
+            target.fillRect(x + innerRight, y + row, Math.max(1, right - innerRight), 1);
+        }
+    }
+    
+    /**
+     * Handle ^GF (Graphic Field) command
+     */
+    handleGraphicField(target, params) {
+        // Format: ^GFa,b,c,d,data - format A (ASCII hex) or B (binary), byte
+        // count, graphic field count (total bytes), bytes per row
+        const match = params.match(/^([ABH]),(\d*),(\d*),(\d+),(.*)$/is);
+        if (!match || !parseInt(match[4])) {
+            throw new Error('Expected format, byte count, total bytes, bytes per row and data');
+        }
+        
+        const rowBytes = parseInt(match[4]);
+        const totalBytes = parseInt(match[3]) || parseInt(match[2]) || 0;
+        const bytes = this.decodeGraphicData(match[5], match[1].toUpperCase(), totalBytes, rowBytes);
+        this.drawGraphic(target, this.rawGraphic(bytes, rowBytes));
+    }
+    
+    /**
+     * Get the top-left corner of an unrotated graphic field
+     * ^FT anchors graphics at their bottom-left corner, and right
+     * justification puts the field to the left of the origin.
+     * @param {number} width - Graphic width in dots
+     * @param {number} height - Graphic height in dots
+     * @returns {{ x: number, y: number }}
+     */
+    graphicOrigin(width, height) {
+        return {
+            x: this.fieldJustification === 'R' ? this.x - width : this.x,
+            y: this.fieldOriginType === 'FT' ? this.y - height : this.y
+        };
+    }
+    
+    /**
+     * Handle ~DG (Download Graphic) command
+     */
+    handleDownloadGraphic(params) {
+        // Format: ~DGd:o.x,t,w,data - total bytes, bytes per row, ASCII hex data
+        const match = params.match(/^([^,]*),(\d+),(\d+),(.*)$/s);
+        if (!match || !parseInt(match[3])) {
+            throw new Error('Expected name, total bytes, bytes per row and data');
+        }
+        
+        const totalBytes = parseInt(match[2]);
+        const rowBytes = parseInt(match[3]);
+        const name = this.storedObjectName(match[1], 'GRF');
+        this.graphics.set(name, this.rawGraphic(this.decodeGraphicData(match[4], 'A', totalBytes, rowBytes), rowBytes));
+    }
+    
+    /**
+     * Handle ~DY (Download Objects) command for GRF and PNG graphics
+     */
+    handleDownloadObject(params) {
+        // Format: ~DYd:f,b,x,t,w,data - data format A (ASCII hex) or B (binary),
+        // extension G (.GRF) or P (.PNG), total bytes, bytes per row (GRF only)
+        const match = params.match(/^([^,]*),([^,]*),([^,]*),(\d*),(\d*),(.*)$/s);
+        if (!match) {
+            throw new Error('Expected name, format, extension, total bytes, bytes per row and data');
+        }
+        
+        const [, file, format, extension, total, width, data] = match;
+        const type = { G: 'GRF', P: 'PNG' }[extension.trim().toUpperCase()];
+        if (!type) {
+            throw new Error(`Unsupported object type: ${extension}`);
+        }
+        
+        const dataFormat = format.trim().toUpperCase() || 'A';
+        if (dataFormat !== 'A' && dataFormat !== 'B') {
+            throw new Error(`Unsupported data format: ${format}`);
+        }
+        const totalBytes = parseInt(total) || 0;
+        const bytes = this.decodeGraphicData(data, dataFormat, totalBytes, parseInt(width) || totalBytes);
+        
+        // The file name is given without extension; the extension parameter sets it
+        const name = this.storedObjectName(file.replace(/\..*$/, ''), type);
+        if (type === 'PNG') {
+            this.graphics.set(name, decodePNG(bytes));
+        } else if (parseInt(width) > 0) {
+            this.graphics.set(name, this.rawGraphic(bytes, parseInt(width)));
+        } else {
+            throw new Error('Bytes per row are required for GRF objects');
+        }
+    }
+    
+    /**
+     * Handle ^XG (Recall Graphic) command
+     */
+    handleRecallGraphic(target, params) {
+        // Format: ^XGd:o.x,mx,my - magnification 1-10
+        const parts = params.split(',');
+        const magnification = value => this.numberParam(value, 1, { name: 'magnification', min: 1, max: MAX_MAGNIFICATION });
+        const graphic = this.storedGraphic(this.storedObjectName(parts[0], 'GRF'));
+        this.drawGraphic(target, graphic, magnification(parts[1]), magnification(parts[2]));
+    }
+    
+    /**
+     * Handle ^ID (Object Delete) command
+     * Deletes downloaded graphics and stored formats; * and ? are wildcards.
+     */
+    handleObjectDelete(params) {
+        // Format: ^IDd:o.x - e.g. ^IDR:LOGO.GRF or ^IDR:*.*
+        const name = this.storedObjectName(params, 'GRF');
+        const pattern = new RegExp('^' + name
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.') + '$');
+        
+        for (const store of [this.graphics, this.formats]) {
+            for (const key of [...store.keys()]) {
+                if (pattern.test(key)) store.delete(key);
+            }
+        }
+    }
+    
+    /**
+     * Get a downloaded graphic
+     * @param {string} name - Normalized object name, e.g. "R:LOGO.GRF"
+     * @returns {{ width: number, height: number, rowBytes: number, bytes: Uint8Array }}
+     */
+    storedGraphic(name) {
+        const graphic = this.graphics.get(name);
+        if (!graphic) {
+            throw new Error(`Graphic not found: ${name}`);
+        }
+        return graphic;
+    }
+    
+    /**
+     * Wrap GRF bitmap data as a graphic
+     * @param {Uint8Array} bytes - Rows of packed pixels, most significant bit first (1 = black)
+     * @param {number} rowBytes - Bytes per row
+     * @returns {{ width: number, height: number, rowBytes: number, bytes: Uint8Array }}
+     */
+    rawGraphic(bytes, rowBytes) {
+        return {
+            width: rowBytes * 8,
+            height: Math.ceil(bytes.length / rowBytes),
+            rowBytes,
+            bytes
+        };
+    }
+    
+    /**
+     * Draw a 1-bit graphic at the field origin
+     * Only black dots are drawn; white dots leave the label unchanged.
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @param {{ width: number, height: number, rowBytes: number, bytes: Uint8Array }} graphic
+     * @param {number} [magX=1] - Horizontal magnification
+     * @param {number} [magY=1] - Vertical magnification
+     */
+    drawGraphic(target, graphic, magX = 1, magY = 1) {
+        const { width, height } = graphic;
+        if (!width || !height) return;
+        
+        const origin = this.graphicOrigin(width * magX, height * magY);
+        this.drawField(target, () => target.drawBitmap(graphic, origin.x, origin.y, magX, magY));
+    }
+    
+    /**
+     * Record a diagnostic
+     * @param {{ command: string, prefix?: string, line?: number, column?: number, offset?: number, length?: number }|null} cmd
+     *   Command the diagnostic is about, with its source position
+     * @param {'error'|'warning'|'info'} severity - error: the command was not
+     *   drawn; warning: drawn, but maybe not as intended; info: ignored
+     * @param {string} message
+     */
+    diagnose(cmd, severity, message) {
+        this.diagnostics.push({
+            severity,
+            command: cmd ? (cmd.prefix || '^') + cmd.command : '',
+            message,
+            line: cmd?.line ?? null,
+            column: cmd?.column ?? null,
+            offset: cmd?.offset ?? null,
+            length: cmd?.length ?? 0
+        });
+    }
+    
+    /**
+     * Report a problem that does not stop the current command
+     * @param {string} message
+     */
+    warn(message) {
+        this.diagnose(this.currentCommand, 'warning', message);
+    }
+    
+    /**
+     * Parse a numeric command parameter
+     * An empty parameter gives the default. A value that is not a number or
+     * lies outside min-max is reported as a warning and gives the default,
+     * or with clamp the nearest end of the range.
+     * @param {string|undefined} value - Parameter text
+     * @param {number|null} fallback - Default
+     * @param {{ name: string, min?: number, max?: number, decimal?: boolean, clamp?: boolean }} options
+     *   Parameter name for the warning, accepted range, whether fractions
+     *   are accepted, and whether values out of range are clamped
+     * @returns {number|null}
+     */
+    numberParam(value, fallback, { name, min = -Infinity, max = Infinity, decimal = false, clamp = false }) {
+        const text = (value || '').trim();
+        if (!text) return fallback;
+        const result = fallback === null ? 'ignored' : `using ${fallback}`;
+        
+        const pattern = decimal ? /^[+-]?(\d+\.?\d*|\.\d+)$/ : /^[+-]?\d+$/;
+        if (!pattern.test(text)) {
+            this.warn(`Invalid ${name} "${text}", ${result}`);
+            return fallback;
+        }
+        
+        const number = Number(text);
+        if (number < min || number > max) {
+            const range = max === Infinity ? `${min} or more` : min === -Infinity ? `${max} or less` : `${min}-${max}`;
+            const clamped = Math.min(max, Math.max(min, number));
+            this.warn(`${name[0].toUpperCase() + name.slice(1)} ${number} is out of range (${range}), ${clamp ? `using ${clamped}` : result}`);
+            return clamp ? clamped : fallback;
+        }
+        return number;
+    }
+    
+    /**
+     * Decode graphic data in any ZPL encoding
+     * :Z64: (zlib) and :B64: payloads are base64 with a CRC of the encoded
+     * text; a CRC mismatch is reported as a warning and the data is used.
+     * @param {string} data - Graphic data
+     * @param {string} format - A (ASCII hex, optionally compressed) or B (binary)
+     * @param {number} totalBytes - Decoded size in bytes
+     * @param {number} rowBytes - Bytes per row
+     * @returns {Uint8Array}
+     */
+    decodeGraphicData(data, format, totalBytes, rowBytes) {
+        const encoded = data.trim().match(/^:(Z64|B64):([^:]*)(?::([0-9A-F]{4}))?/i);
+        if (encoded) {
+            const [, encoding, text, crc] = encoded;
+            const payload = text.replace(/\s/g, '');
+            if (crc && parseInt(crc, 16) !== crc16(payload)) {
+                this.warn(`${encoding.toUpperCase()} CRC mismatch (expected ${crc.toUpperCase()}, data has ${crc16(payload).toString(16).toUpperCase().padStart(4, '0')})`);
+            }
+            
+            let binary;
+            try {
+                binary = atob(payload);
+            } catch (e) {
+                throw new Error(`Invalid ${encoding.toUpperCase()} data`);
+            }
+            const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+            return encoding.toUpperCase() === 'Z64' ? inflate(bytes) : bytes;
+        }
+        
+        if (format === 'B') {
+            return Uint8Array.from(data, c => c.charCodeAt(0) & 0xFF);
+        }
+        return this.decodeCompressedHex(data, totalBytes || Math.floor(data.length / 2), rowBytes);
+    }
+    
+    /**
+     * Decode ASCII hex graphic data with ZPL compression
+     * G-Y repeat the next hex digit 1-19 times and g-z 20-400 times (counts
+     * add up, e.g. gH = 22); a comma fills the rest of the row with 0, an
+     * exclamation mark fills it with 1 and a colon repeats the previous row.
+     * @param {string} data - Hex data
+     * @param {number} totalBytes - Decoded size in bytes
+     * @param {number} rowBytes - Bytes per row
+     * @returns {Uint8Array}
+     */
+    decodeCompressedHex(data, totalBytes, rowBytes) {
+        const bytes = new Uint8Array(totalBytes);
+        const rowDigits = Math.max(1, rowBytes) * 2;
+        const totalDigits = totalBytes * 2;
+        let digit = 0;
+        let count = 0;
+        
+        const put = value => {
+            if (digit < totalDigits) {
+                bytes[digit >> 1] |= digit & 1 ? value : value << 4;
+            }
+            digit++;
+        };
+        const rowEnd = () => Math.min(totalDigits, (Math.floor(digit / rowDigits) + 1) * rowDigits);
+        
+        for (const char of data) {
+            if (digit >= totalDigits) break;
+            
+            if (char >= 'G' && char <= 'Y') {
+                count += char.charCodeAt(0) - 'F'.charCodeAt(0);
+            } else if (char >= 'g' && char <= 'z') {
+                count += (char.charCodeAt(0) - 'f'.charCodeAt(0)) * 20;
+            } else if (/[0-9A-Fa-f]/.test(char)) {
+                const value = parseInt(char, 16);
+                for (let i = Math.max(1, count); i > 0; i--) put(value);
+                count = 0;
+            } else if (char === ',' || char === '!') {
+                // Fill the rest of the row (a whole row at the start of one)
+                const value = char === '!' ? 0xF : 0;
+                for (let end = rowEnd(); digit < end;) put(value);
+                count = 0;
+            } else if (char === ':') {
+                // Repeat the previous row
+                for (let end = rowEnd(); digit < end;) {
+                    const source = digit - rowDigits;
+                    put(source < 0 ? 0 : (bytes[source >> 1] >> (source & 1 ? 0 : 4)) & 0xF);
+                }
+                count = 0;
+            }
+        }
+        
+        return bytes;
+    }
+    
+    /**
+     * Handle ^BY (Barcode Defaults) command
+     * The module width is clamped to 1-10 dots and the wide-to-narrow ratio
+     * to 2.0-3.0; a value that does not parse keeps the previous setting.
+     */
+    handleBarcodeDefaults(params) {
+        const parts = params.split(',');
+        this.barcodeModuleWidth = this.numberParam(parts[0], this.barcodeModuleWidth, { name: 'module width', min: 1, max: 10, clamp: true });
+        this.barcodeWideToNarrow = this.numberParam(parts[1], this.barcodeWideToNarrow, { name: 'wide-to-narrow ratio', min: 2, max: 3, decimal: true, clamp: true });
+        this.barcodeHeight = this.numberParam(parts[2], this.barcodeHeight, { name: 'barcode height', min: 1, max: 32000 });
+    }
+    
+    /**
+     * Handle ^BC (Code 128 Barcode) command
      */
-    handleBarcode128(ctx, params) {
+    handleBarcode128(target, params) {
+        // Format: ^BCo,h,f,g,e,m
         const parts = params.split(',');
-        const orientation = parts[0] || 'N';
-        const height = parseInt(parts[1]) || this.barcodeHeight;
-        const printText = (parts[2] || 'Y').toUpperCase() === 'Y';
-        const textAbove = (parts[3] || 'N').toUpperCase() === 'Y';
         
-        // Get the data from the next FD command - for now use placeholder
-        // This is handled by the field data following the barcode command
+        // The barcode itself is drawn by the field data that follows
         this.pendingBarcode = {
             type: '128',
-            orientation,
-            height,
-            printText,
-            textAbove,
-            x: this.x,
-            y: this.y
+            orientation: (parts[0] || this.rotation).toUpperCase(),
+            height: this.numberParam(parts[1], this.barcodeHeight, { name: 'barcode height', min: 1, max: 32000 }),
+            printText: (parts[2] || 'Y').toUpperCase() === 'Y',
+            textAbove: (parts[3] || 'N').toUpperCase() === 'Y',
+            checkDigit: (parts[4] || 'N').toUpperCase() === 'Y',
+            mode: (parts[5] || 'N').toUpperCase()
+        };
+    }
+    
+    /**
+     * Handle ^B3 (Code 39) command
+     */
+    handleCode39(target, params) {
+        // Format: ^B3o,e,h,f,g
+        const parts = params.split(',');
+        
+        this.pendingBarcode = {
+            type: 'CODE39',
+            orientation: (parts[0] || this.rotation).toUpperCase(),
+            checkDigit: (parts[1] || 'N').toUpperCase() === 'Y',
+            height: this.numberParam(parts[2], this.barcodeHeight, { name: 'barcode height', min: 1, max: 32000 }),
+            printText: (parts[3] || 'Y').toUpperCase() === 'Y',
+            textAbove: (parts[4] || 'N').toUpperCase() === 'Y'
+        };
+    }
+    
+    /**
+     * Handle ^BA (Code 93) command
+     */
+    handleCode93(target, params) {
+        // Format: ^BAo,h,f,g,e
+        const parts = params.split(',');
+        
+        this.pendingBarcode = {
+            type: 'CODE93',
+            orientation: (parts[0] || this.rotation).toUpperCase(),
+            height: this.numberParam(parts[1], this.barcodeHeight, { name: 'barcode height', min: 1, max: 32000 }),
+            printText: (parts[2] || 'Y').toUpperCase() === 'Y',
+            textAbove: (parts[3] || 'N').toUpperCase() === 'Y',
+            printCheckDigit: (parts[4] || 'N').toUpperCase() === 'Y'
+        };
+    }
+    
+    /**
+     * Handle ^BE (EAN-13) and ^B8 (EAN-8) commands
+     */
+    handleEAN(target, type, params) {
+        // Format: ^BEo,h,f,g / ^B8o,h,f,g
+        const parts = params.split(',');
+        
+        this.pendingBarcode = {
+            type,
+            orientation: (parts[0] || this.rotation).toUpperCase(),
+            height: this.numberParam(parts[1], this.barcodeHeight, { name: 'barcode height', min: 1, max: 32000 }),
+            printText: (parts[2] || 'Y').toUpperCase() === 'Y',
+            textAbove: (parts[3] || 'N').toUpperCase() === 'Y'
+        };
+    }
+    
+    /**
+     * Handle ^BU (UPC-A) and ^B9 (UPC-E) commands
+     */
+    handleUPC(target, type, params) {
+        // Format: ^BUo,h,f,g,e / ^B9o,h,f,g,e
+        const parts = params.split(',');
+        
+        this.pendingBarcode = {
+            type,
+            orientation: (parts[0] || this.rotation).toUpperCase(),
+            height: this.numberParam(parts[1], this.barcodeHeight, { name: 'barcode height', min: 1, max: 32000 }),
+            printText: (parts[2] || 'Y').toUpperCase() === 'Y',
+            textAbove: (parts[3] || 'N').toUpperCase() === 'Y',
+            printCheckDigit: (parts[4] || 'Y').toUpperCase() === 'Y'
+        };
+    }
+    
+    /**
+     * Handle ^B2 (Interleaved 2 of 5) command
+     */
+    handleInterleaved2of5(target, params) {
+        // Format: ^B2o,h,f,g,e
+        const parts = params.split(',');
+        
+        this.pendingBarcode = {
+            type: 'I2OF5',
+            orientation: (parts[0] || this.rotation).toUpperCase(),
+            height: this.numberParam(parts[1], this.barcodeHeight, { name: 'barcode height', min: 1, max: 32000 }),
+            printText: (parts[2] || 'Y').toUpperCase() === 'Y',
+            textAbove: (parts[3] || 'N').toUpperCase() === 'Y',
+            checkDigit: (parts[4] || 'N').toUpperCase() === 'Y'
         };
     }
     
     /**
      * Handle ^BQ (QR Code) command
      */
-    handleQRCode(ctx, params) {
+    handleQRCode(target, params) {
+        // Format: ^BQa,b,c,d,e
         const parts = params.split(',');
-        const orientation = parts[0] || 'N';
-        const model = parseInt(parts[1]) || 2;
-        const magnification = parseInt(parts[2]) || 3;
+        const mask = parseInt(parts[4]);
         
         this.pendingBarcode = {
             type: 'QR',
-            orientation,
-            model,
-            magnification,
-            x: this.x,
-            y: this.y
+            orientation: (parts[0] || 'N').toUpperCase(),
+            model: parseInt(parts[1]) || 2,
+            magnification: this.numberParam(parts[2], 2, { name: 'magnification', min: 1, max: 10 }),
+            ecLevel: (parts[3] || 'Q').toUpperCase(),
+            mask: mask >= 0 && mask <= 7 ? mask : -1
+        };
+    }
+    
+    /**
+     * Parse ^BQ field data: "<ecc><input mode>,<data>"
+     * Input mode A (automatic) takes the data as is. Input mode M (manual)
+     * prefixes the data with N (numeric), A (alphanumeric), B (byte, followed
+     * by a 4-digit byte count) or K (Kanji).
+     * @returns {{ ecLevel: string, mode: string, text: string }}
+     */
+    parseQRFieldData(data, defaultEcLevel) {
+        const match = data.match(/^([HQML])([AM]),/i);
+        if (!match) {
+            return { ecLevel: defaultEcLevel, mode: 'auto', text: data };
+        }
+        
+        const ecLevel = match[1].toUpperCase();
+        let text = data.slice(match[0].length);
+        if (match[2].toUpperCase() === 'A') {
+            return { ecLevel, mode: 'auto', text };
+        }
+        
+        const modes = { N: 'numeric', A: 'alphanumeric', B: 'byte', K: 'kanji' };
+        const mode = modes[text.charAt(0).toUpperCase()];
+        if (!mode) {
+            throw new Error(`Invalid QR manual input mode: ${text.charAt(0)}`);
+        }
+        text = text.slice(1);
+        
+        if (mode === 'byte' && /^\d{4}/.test(text)) {
+            const count = parseInt(text.slice(0, 4), 10);
+            text = text.slice(4, 4 + count);
+        }
+        
+        return { ecLevel, mode, text };
+    }
+    
+    /**
+     * Handle ^BX (Data Matrix) command
+     */
+    handleDataMatrix(target, params) {
+        // Format: ^BXo,h,s,c,r,f,g,a - g is the escape character (~ by default)
+        // Quality levels 0-140 (ECC 000-140) are obsolete; ECC 200 is always
+        // encoded, so the format ID (f) does not apply.
+        const parts = params.split(',');
+        
+        this.pendingBarcode = {
+            type: 'DM',
+            orientation: (parts[0] || this.rotation).toUpperCase(),
+            moduleSize: this.numberParam(parts[1], 0, { name: 'module size', min: 0, max: 9999 }),
+            cols: parseInt(parts[3]) || 0,
+            rows: parseInt(parts[4]) || 0,
+            escape: parts[6] ? parts[6][0] : '~',
+            rectangular: parts[7] === '2'
+        };
+    }
+    
+    /**
+     * Parse ^BX field data into bytes and special codewords
+     * Escape sequences, shown with the default ~ escape character: ~1 to ~3
+     * (FNC1-3), ~5/~6 (macro 05/06), ~dNNN (byte value NNN), ~@ to ~^
+     * (control characters) and ~~ (escape itself).
+     * @param {string} data - Field data
+     * @param {string} escape - Escape sequence control character
+     * @returns {Array<number|{ codeword: number }>}
+     */
+    parseDataMatrixFieldData(data, escape) {
+        const specials = {
+            '1': dataMatrix.FNC1,
+            '2': dataMatrix.STRUCTURED_APPEND,
+            '3': dataMatrix.READER_PROGRAMMING,
+            '5': dataMatrix.MACRO_05,
+            '6': dataMatrix.MACRO_06
+        };
+        const items = [];
+        
+        let literal = '';
+        for (let i = 0; i < data.length; i++) {
+            if (data[i] !== escape || i + 1 >= data.length) {
+                literal += data[i];
+                continue;
+            }
+            
+            const next = data[i + 1];
+            const decimal = data.slice(i + 2, i + 5);
+            if (specials[next]) {
+                items.push(...textToBytes(literal), specials[next]);
+                literal = '';
+                i++;
+            } else if (next.toLowerCase() === 'd' && /^\d{3}$/.test(decimal)) {
+                literal += String.fromCharCode(parseInt(decimal, 10) & 0xFF);
+                i += 4;
+            } else if (next === escape) {
+                literal += escape;
+                i++;
+            } else if (next >= '@' && next <= '^') {
+                literal += String.fromCharCode(next.charCodeAt(0) - 64);
+                i++;
+            } else {
+                literal += data[i];
+            }
+        }
+        items.push(...textToBytes(literal));
+        
+        return items;
+    }
+    
+    /**
+     * Handle ^B7 (PDF417) command
+     */
+    handlePDF417(target, params) {
+        // Format: ^B7o,h,s,c,r,t
+        const parts = params.split(',');
+        
+        this.pendingBarcode = {
+            type: 'PDF417',
+            orientation: (parts[0] || this.rotation).toUpperCase(),
+            rowHeight: this.numberParam(parts[1], 0, { name: 'row height', min: 0, max: 32000 }),
+            securityLevel: this.numberParam(parts[2], 0, { name: 'security level', min: 0, max: 8 }),
+            columns: parseInt(parts[3]) || undefined,
+            rows: parseInt(parts[4]) || undefined,
+            truncated: (parts[5] || 'N').toUpperCase() === 'Y'
+        };
+    }
+    
+    /**
+     * Handle ^B0 (Aztec) command
+     */
+    handleAztec(target, params) {
+        // Format: ^B0a,b,c,d,e,f,g
+        // ECI (c), menu symbols (e) and structured append (f, g) are parsed
+        // but not encoded.
+        const parts = params.split(',');
+        const size = parseInt(parts[3]) || 0;
+        
+        // d: 1-99 = minimum error correction percentage, 101-104 = compact
+        // layers, 201-232 = full-range layers, 300 = Aztec Rune
+        if (size === 300) {
+            throw new Error('Aztec Runes are not supported');
+        }
+        
+        this.pendingBarcode = {
+            type: 'AZTEC',
+            orientation: (parts[0] || this.rotation).toUpperCase(),
+            magnification: this.numberParam(parts[1], 2, { name: 'magnification', min: 1, max: 10 }),
+            eccPercent: size >= 1 && size <= 99 ? size : 23,
+            layers: size >= 101 && size <= 104 ? size - 100 : (size >= 201 && size <= 232 ? size - 200 : 0),
+            compact: size >= 101 && size <= 104
         };
     }
     
     /**
      * Handle ^LH (Label Home) command
      */
-    handleLabelHome(params) {
+    handleLabelHome(target, params) {
+        // Moves the fields that follow
         const parts = params.split(',');
-        this.labelHomeX = parseInt(parts[0]) || 0;
-        this.labelHomeY = parseInt(parts[1]) || 0;
+        this.labelHomeX = this.numberParam(parts[0], 0, { name: 'label home x', min: 0, max: 32000 });
+        this.labelHomeY = this.numberParam(parts[1], 0, { name: 'label home y', min: 0, max: 32000 });
+        this.applyLabelTransform(target);
     }
     
     /**
      * Handle ^FW (Field Orientation) command
      */
     handleFieldOrientation(params) {
-        if (params.length > 0) {
-            this.rotation = params[0].toUpperCase();
+        // Format: ^FWr,z - default orientation and justification
+        const parts = params.split(',');
+        if (parts[0]) {
+            this.rotation = parts[0][0].toUpperCase();
+        }
+        if (JUSTIFICATIONS[(parts[1] || '').trim()]) {
+            this.defaultJustification = JUSTIFICATIONS[parts[1].trim()];
+        }
+    }
+    
+    /**
+     * Draw the pending barcode for the current field
+     * @returns {boolean} True if the barcode type is supported and was drawn
+     */
+    drawBarcode(target, barcode, data) {
+        switch (barcode.type) {
+            case '128': {
+                const { modules, text } = encodeCode128(data, {
+                    mode: barcode.mode,
+                    checkDigit: barcode.checkDigit
+                });
+                const bars = modules.map(m => m * this.barcodeModuleWidth);
+                this.drawLinearBarcode(target, bars, barcode, barcode.printText ? text : '');
+                return true;
+            }
+            
+            case 'CODE39': {
+                const { wide, text } = encodeCode39(data, { checkDigit: barcode.checkDigit });
+                this.drawLinearBarcode(target, this.wideNarrowBars(wide), barcode, barcode.printText ? text : '');
+                return true;
+            }
+            
+            case 'CODE93': {
+                const { modules, text } = encodeCode93(data, { printCheckDigits: barcode.printCheckDigit });
+                const bars = modules.map(m => m * this.barcodeModuleWidth);
+                this.drawLinearBarcode(target, bars, barcode, barcode.printText ? text : '');
+                return true;
+            }
+            
+            case 'EAN13':
+            case 'EAN8':
+            case 'UPCA':
+            case 'UPCE': {
+                const options = { printCheckDigit: barcode.printCheckDigit };
+                const symbol = {
+                    EAN13: () => encodeEAN13(data),
+                    EAN8: () => encodeEAN8(data),
+                    UPCA: () => encodeUPCA(data, options),
+                    UPCE: () => encodeUPCE(data, options)
+                }[barcode.type]();
+                this.drawUPCEANBarcode(target, symbol, barcode);
+                return true;
+            }
+            
+            case 'I2OF5': {
+                const { wide, text } = encodeInterleaved2of5(data, { checkDigit: barcode.checkDigit });
+                this.drawLinearBarcode(target, this.wideNarrowBars(wide), barcode, barcode.printText ? text : '');
+                return true;
+            }
+            
+            case 'QR': {
+                const { ecLevel, mode, text } = this.parseQRFieldData(data, barcode.ecLevel);
+                const { modules } = encodeQRCode(text, { ecLevel, mode, mask: barcode.mask });
+                this.drawMatrixBarcode(target, modules, barcode.orientation, barcode.magnification);
+                return true;
+            }
+            
+            case 'DM': {
+                const items = this.parseDataMatrixFieldData(data, barcode.escape);
+                const { rows, modules } = dataMatrix.encodeDataMatrix(items, {
+                    rows: barcode.rows,
+                    cols: barcode.cols,
+                    rectangular: barcode.rectangular
+                });
+                // Without a module size, ^BY height sets the approximate symbol height
+                const moduleSize = barcode.moduleSize || Math.max(1, Math.round(this.barcodeHeight / rows));
+                this.drawMatrixBarcode(target, modules, barcode.orientation, moduleSize);
+                return true;
+            }
+            
+            case 'PDF417': {
+                const { rows, modules } = encodePDF417(textToBytes(data), {
+                    securityLevel: barcode.securityLevel,
+                    columns: barcode.columns,
+                    rows: barcode.rows,
+                    truncated: barcode.truncated
+                });
+                // Without a row height, ^BY height is shared between the rows
+                const rowHeight = barcode.rowHeight || Math.max(1, Math.round(this.barcodeHeight / rows));
+                this.drawMatrixBarcode(target, modules, barcode.orientation, this.barcodeModuleWidth, rowHeight);
+                return true;
+            }
+            
+            case 'AZTEC': {
+                const { modules } = encodeAztec(textToBytes(data), {
+                    eccPercent: barcode.eccPercent,
+                    layers: barcode.layers,
+                    compact: barcode.compact
+                });
+                this.drawMatrixBarcode(target, modules, barcode.orientation, barcode.magnification);
+                return true;
+            }
+            
+            default:
+                return false;
         }
     }
     
     /**
-     * Draw a simple Code 128 barcode (simplified)
+     * Draw a linear barcode with optional interpretation line
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @param {number[]} bars - Alternating bar/space widths in dots, starting with a bar
+     * @param {{ orientation: string, height: number, textAbove?: boolean }} barcode - Barcode field settings
+     * @param {string} text - Interpretation line ('' for none)
      */
-    drawBarcode128(ctx, data, x, y, height, moduleWidth, printText) {
-        // Simplified Code 128 rendering
-        // In production, use a proper barcode library
+    drawLinearBarcode(target, bars, barcode, text) {
+        const width = bars.reduce((sum, w) => sum + w, 0);
+        const fontSize = text ? this.interpretationFontSize() : 0;
+        const gap = text ? Math.max(2, this.barcodeModuleWidth * 2) : 0;
+        const barsTop = barcode.textAbove ? fontSize + gap : 0;
         
-        const patterns = this.getCode128Patterns(data);
-        let currentX = x;
+        // ^FT places the bottom of the bars at the field origin
+        const placement = { baseline: barsTop + barcode.height };
+        this.withFieldTransform(target, barcode.orientation, width, barcode.height + fontSize + gap, () => {
+            target.setColor('black');
+            let x = 0;
+            for (let i = 0; i < bars.length; i++) {
+                if (i % 2 === 0) {
+                    target.fillRect(x, barsTop, bars[i], barcode.height);
+                }
+                x += bars[i];
+            }
+            
+            if (text) {
+                const textTop = barcode.textAbove ? 0 : barcode.height + gap;
+                this.drawInterpretation(target, text, width / 2, textTop, fontSize);
+            }
+        }, placement);
+    }
+    
+    /**
+     * Convert wide/narrow element flags to widths in dots using the ^BY ratio
+     * @param {boolean[]} wide - Wide flag per element
+     * @returns {number[]}
+     */
+    wideNarrowBars(wide) {
+        const narrow = this.barcodeModuleWidth;
+        const wideWidth = Math.max(narrow + 1, Math.round(narrow * this.barcodeWideToNarrow));
+        return wide.map(w => (w ? wideWidth : narrow));
+    }
+    
+    /**
+     * Draw an EAN/UPC barcode with the guard-bar interpretation layout
+     * Guard bars extend into the interpretation line, which is printed in
+     * digit groups between them (and outside the symbol for the leading
+     * and trailing digits).
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @param {{ modules: number[], guards: boolean[], digits: Array<{ text: string, start: number, end: number }> }} symbol - Encoded symbol
+     * @param {{ orientation: string, height: number, printText: boolean, textAbove: boolean }} barcode - Barcode field settings
+     */
+    drawUPCEANBarcode(target, symbol, barcode) {
+        const mw = this.barcodeModuleWidth;
+        const moduleCount = symbol.modules.reduce((sum, w) => sum + w, 0);
+        const digits = barcode.printText ? symbol.digits : [];
+        const left = Math.max(0, ...digits.map(group => -group.start));
+        const right = Math.max(moduleCount, ...digits.map(group => group.end));
+        const fontSize = digits.length ? this.interpretationFontSize() : 0;
+        const gap = digits.length ? Math.max(2, mw * 2) : 0;
+        const guardExtension = digits.length && !barcode.textAbove ? Math.round(fontSize / 2) : 0;
+        const barsTop = barcode.textAbove ? fontSize + gap : 0;
         
-        ctx.fillStyle = '#000000';
+        const placement = { baseline: barsTop + barcode.height };
+        this.withFieldTransform(target, barcode.orientation, (left + right) * mw, barcode.height + fontSize + gap, () => {
+            target.setColor('black');
+            let x = left * mw;
+            symbol.modules.forEach((width, i) => {
+                if (i % 2 === 0) {
+                    const height = barcode.height + (symbol.guards[i] ? guardExtension : 0);
+                    target.fillRect(x, barsTop, width * mw, height);
+                }
+                x += width * mw;
+            });
+            
+            if (barcode.textAbove && digits.length) {
+                const text = digits.map(group => group.text).join('');
+                this.drawInterpretation(target, text, (left + moduleCount / 2) * mw, 0, fontSize);
+            } else {
+                for (const group of digits) {
+                    const center = (left + (group.start + group.end) / 2) * mw;
+                    this.drawInterpretation(target, group.text, center, barcode.height + gap, fontSize);
+                }
+            }
+        }, placement);
+    }
+    
+    /**
+     * Draw a 2D barcode from its module matrix
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @param {boolean[][]} modules - Rows of modules (true = dark)
+     * @param {string} orientation - N, R, I or B
+     * @param {number} moduleWidth - Module width in dots
+     * @param {number} [moduleHeight] - Module height in dots (defaults to width)
+     */
+    drawMatrixBarcode(target, modules, orientation, moduleWidth, moduleHeight = moduleWidth) {
+        const width = modules[0].length * moduleWidth;
+        const height = modules.length * moduleHeight;
         
-        for (const pattern of patterns) {
-            for (let i = 0; i < pattern.length; i++) {
-                if (pattern[i] === '1') {
-                    ctx.fillRect(currentX, y, moduleWidth, height);
+        this.withFieldTransform(target, orientation, width, height, () => {
+            target.setColor('black');
+            modules.forEach((row, y) => {
+                // Merge horizontal runs of dark modules into single rectangles
+                let runStart = -1;
+                for (let x = 0; x <= row.length; x++) {
+                    if (x < row.length && row[x]) {
+                        if (runStart < 0) runStart = x;
+                    } else if (runStart >= 0) {
+                        target.fillRect(runStart * moduleWidth, y * moduleHeight,
+                            (x - runStart) * moduleWidth, moduleHeight);
+                        runStart = -1;
+                    }
                 }
-                currentX += moduleWidth;
-            }
-        }
-        
-        if (printText) {
-            ctx.font = '12px Arial';
-            ctx.textAlign = 'center';
-            ctx.fillText(data, x + (currentX - x) / 2, y + height + 12);
-        }
-    }
-    
-    /**
-     * Get Code 128 patterns (simplified - subset B only)
-     */
-    getCode128Patterns(data) {
-        // Start Code B pattern
-        const patterns = ['11010010000'];
-        
-        // Character patterns for Code 128B (simplified subset)
-        const code128B = {
-            ' ': '11011001100', '!': '11001101100', '"': '11001100110',
-            '#': '10010011000', '$': '10010001100', '%': '10001001100',
-            '&': '10011001000', "'": '10011000100', '(': '10001100100',
-            ')': '11001001000', '*': '11001000100', '+': '11000100100',
-            ',': '10110011100', '-': '10011011100', '.': '10011001110',
-            '/': '10111001100', '0': '10011101100', '1': '10011100110',
-            '2': '11001110010', '3': '11001011100', '4': '11001001110',
-            '5': '11011100100', '6': '11001110100', '7': '11101101110',
-            '8': '11101001100', '9': '11100101100', ':': '11100100110',
-            ';': '11101100100', '<': '11100110100', '=': '11100110010',
-            '>': '11011011000', '?': '11011000110', '@': '11000110110',
-            'A': '10100011000', 'B': '10001011000', 'C': '10001000110',
-            'D': '10110001000', 'E': '10001101000', 'F': '10001100010',
-            'G': '11010001000', 'H': '11000101000', 'I': '11000100010',
-            'J': '10110111000', 'K': '10110001110', 'L': '10001101110',
-            'M': '10111011000', 'N': '10111000110', 'O': '10001110110',
-            'P': '11101110110', 'Q': '11010001110', 'R': '11000101110',
-            'S': '11011101000', 'T': '11011100010', 'U': '11011101110',
-            'V': '11101011000', 'W': '11101000110', 'X': '11100010110',
-            'Y': '11101101000', 'Z': '11101100010'
-        };
+            });
+        });
+    }
+    
+    /**
+     * Font size of barcode interpretation lines, scaled by ^BY module width
+     */
+    interpretationFontSize() {
+        return 10 + this.barcodeModuleWidth * 5;
+    }
+    
+    /**
+     * Draw a barcode interpretation line in font 0
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @param {string} text - Interpretation text
+     * @param {number} center - Horizontal center of the text
+     * @param {number} top - Top of the text
+     * @param {number} size - Font size in dots
+     */
+    drawInterpretation(target, text, center, top, size) {
+        const font = { family: FONTS['0'].name, style: FONTS['0'].style, size, scaleX: 1 };
+        const width = target.measureText(text, font);
+        target.fillText(text, center - width / 2, top + target.fontAscent(font), font);
+    }
+    
+    /**
+     * Get the transform from field-local to label coordinates
+     * ^FO puts the top-left corner of the rotated field box at the field
+     * origin; ^FT puts the start of the baseline there. Right justification
+     * moves the field back by its width along the reading direction.
+     * @param {string} orientation - N, R, I or B
+     * @param {number} width - Unrotated field width
+     * @param {number} height - Unrotated field height
+     * @param {Object} [placement]
+     * @param {number} [placement.baseline=height] - Baseline offset from the top of the field (^FT)
+     * @param {boolean} [placement.rightJustified] - Defaults to the ^FO/^FT justification
+     * @returns {number[]} Matrix [a, b, c, d, e, f] as taken by target.transform
+     */
+    fieldTransform(orientation, width, height, { baseline = height, rightJustified = this.fieldJustification === 'R' } = {}) {
+        const [a, b, c, d] = ORIENTATIONS[orientation] || ORIENTATIONS.N;
         
-        for (const char of data) {
-            if (code128B[char]) {
-                patterns.push(code128B[char]);
-            }
+        // Field-local point that lands on the field origin
+        let anchorX;
+        let anchorY;
+        if (this.fieldOriginType === 'FT') {
+            anchorX = rightJustified ? width : 0;
+            anchorY = baseline;
+        } else {
+            anchorX = (orientation === 'I' || orientation === 'B') !== rightJustified ? width : 0;
+            anchorY = orientation === 'R' || orientation === 'I' ? height : 0;
         }
         
-        // Stop pattern
-        patterns.push('1100011101011');
+        return [a, b, c, d, this.x - (a * anchorX + c * anchorY), this.y - (b * anchorX + d * anchorY)];
+    }
+    
+    /**
+     * Run drawing code in field-local coordinates
+     * The local box (0,0)-(width,height) is rotated and moved to the field
+     * origin as described in fieldTransform.
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @param {string} orientation - N, R, I or B
+     * @param {number} width - Unrotated field width
+     * @param {number} height - Unrotated field height
+     * @param {Function} draw - Drawing callback
+     * @param {Object} [placement] - Baseline and justification, see fieldTransform
+     */
+    withFieldTransform(target, orientation, width, height, draw, placement) {
+        this.drawField(target, () => {
+            target.save();
+            target.transform(...this.fieldTransform(orientation, width, height, placement));
+            draw();
+            target.restore();
+        });
+    }
+    
+    /**
+     * Run the drawing code of a field
+     * A reversed field (^FR, or any field after ^LR Y) is drawn on a layer
+     * of its own and XORed onto the label, so it prints white over black
+     * and black over white.
+     * @param {RasterTarget|CanvasTarget} target - Render target
+     * @param {Function} draw - Drawing callback
+     */
+    drawField(target, draw) {
+        if (!this.fieldReversePrint && !this.labelReversePrint) {
+            draw();
+            return;
+        }
         
-        return patterns;
+        target.beginReverse();
+        try {
+            draw();
+        } finally {
+            target.endReverse();
+        }
     }
 }
 
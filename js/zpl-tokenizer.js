@@ -0,0 +1,188 @@
+/**
+ * ZPL tokenizer
+ *
+ * Splits ZPL into commands using the tables of known format (^) and
+ * control (~) commands, so one-letter commands such as ^A are told apart
+ * from two-letter ones. Follows ^CC/^CT/^CD prefix and delimiter changes
+ * and records where every command starts in the source.
+ */
+
+// Format commands (^); ^A is the only one-letter command, its font name follows
+const FORMAT_COMMANDS = new Set([
+    'A', 'B0', 'B1', 'B2', 'B3', 'B4', 'B5', 'B7', 'B8', 'B9',
+    'BA', 'BB', 'BC', 'BD', 'BE', 'BF', 'BI', 'BJ', 'BK', 'BL', 'BM', 'BO', 'BP',
+    'BQ', 'BR', 'BS', 'BT', 'BU', 'BX', 'BY', 'BZ',
+    'CC', 'CD', 'CF', 'CI', 'CM', 'CN', 'CO', 'CP', 'CT', 'CV', 'CW',
+    'DF', 'FB', 'FC', 'FD', 'FH', 'FL', 'FM', 'FN', 'FO', 'FP', 'FR', 'FS', 'FT',
+    'FV', 'FW', 'FX', 'GB', 'GC', 'GD', 'GE', 'GF', 'GS',
+    'HF', 'HG', 'HH', 'HT', 'HV', 'HW', 'HY', 'HZ', 'ID', 'IL', 'IM', 'IS',
+    'JB', 'JC', 'JD', 'JE', 'JF', 'JH', 'JI', 'JJ', 'JL', 'JM', 'JN', 'JO', 'JP',
+    'JR', 'JS', 'JT', 'JU', 'JW', 'JX', 'JZ', 'KD', 'KL', 'KN', 'KP', 'KV',
+    'LF', 'LH', 'LL', 'LR', 'LS', 'LT', 'MA', 'MC', 'MD', 'MF', 'MI', 'ML', 'MM',
+    'MN', 'MP', 'MT', 'MU', 'MW', 'NB', 'NC', 'ND', 'NI', 'NN', 'NP', 'NR', 'NS',
+    'NT', 'NW', 'PA', 'PF', 'PH', 'PM', 'PN', 'PO', 'PP', 'PQ', 'PR', 'PS', 'PW',
+    'RA', 'RB', 'RE', 'RF', 'RI', 'RL', 'RM', 'RN', 'RQ', 'RR', 'RS', 'RT', 'RU',
+    'RW', 'SC', 'SE', 'SF', 'SI', 'SL', 'SN', 'SO', 'SP', 'SQ', 'SR', 'SS', 'ST',
+    'SX', 'SZ', 'TA', 'TB', 'TO', 'WA', 'WD', 'WF', 'WL', 'WP', 'XA', 'XB', 'XF',
+    'XG', 'XS', 'XZ', 'ZZ'
+]);
+
+// Control commands (~)
+const CONTROL_COMMANDS = new Set([
+    'CC', 'CD', 'CT', 'DB', 'DE', 'DG', 'DN', 'DS', 'DT', 'DU', 'DY', 'EG',
+    'HB', 'HD', 'HI', 'HM', 'HQ', 'HS', 'HU', 'JA', 'JB', 'JC', 'JD', 'JE', 'JF',
+    'JG', 'JI', 'JL', 'JN', 'JO', 'JP', 'JQ', 'JR', 'JS', 'JX', 'NC', 'NT', 'PL',
+    'PR', 'PS', 'RO', 'SD', 'TA', 'WC', 'WQ', 'WR'
+]);
+
+// Field data runs to the next format prefix, so it may contain the control prefix
+const FIELD_DATA_COMMANDS = new Set(['FD', 'FV']);
+
+// Commands that take a new prefix or delimiter character as parameter
+const PREFIX_COMMANDS = new Set(['CC', 'CT', 'CD']);
+
+// Parameter positions of commands that may carry binary data of a given size:
+// the data format (B = binary), the byte count and the data itself
+const BINARY_DATA = {
+    'GF': { format: 0, count: 1, data: 4 },
+    'DY': { format: 1, count: 3, data: 5 }
+};
+
+/**
+ * Find where the binary data of a ^GF/~DY command ends
+ * @param {string} zpl - ZPL code
+ * @param {number} start - Offset of the first parameter
+ * @param {{ format: number, count: number, data: number }} layout - Parameter positions
+ * @param {string} delimiter - Parameter delimiter
+ * @param {string[]} prefixes - Command prefixes, which end the parameters
+ * @returns {{ dataStart: number, dataEnd: number }|null} Null unless the
+ *   command carries binary data
+ */
+function binaryData(zpl, start, layout, delimiter, prefixes) {
+    const fields = [];
+    let field = '';
+    let i = start;
+    while (fields.length < layout.data) {
+        const char = zpl[i];
+        if (char === undefined || prefixes.includes(char)) return null;
+        if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+        i++;
+    }
+
+    const count = parseInt(fields[layout.count]);
+    if (fields[layout.format].trim().toUpperCase() !== 'B' || !(count > 0) || zpl[i] === ':') {
+        return null;
+    }
+    return { dataStart: i, dataEnd: Math.min(zpl.length, i + count) };
+}
+
+/**
+ * Check whether a command is a ZPL command
+ * @param {string} prefix - '^' or '~'
+ * @param {string} command - Command name
+ * @returns {boolean}
+ */
+export function isKnownCommand(prefix, command) {
+    return (prefix === '~' ? CONTROL_COMMANDS : FORMAT_COMMANDS).has(command);
+}
+
+/**
+ * Split ZPL into commands
+ * Line breaks are ignored, as on the printer. Parameters are trimmed and
+ * use ',' as delimiter whatever ^CD sets, except field data (^FD, ^FV),
+ * which is kept as is.
+ * @param {string} zpl - ZPL code
+ * @returns {Array<{ command: string, params: string, prefix: string, line: number, column: number, offset: number, length: number }>}
+ *   Commands with their parameters, prefix kind ('^' or '~') and source
+ *   position (1-based line and column, offset and length in characters)
+ */
+export function tokenizeZPL(zpl) {
+    const commands = [];
+    let caret = '^';
+    let tilde = '~';
+    let delimiter = ',';
+
+    // Line and column of an offset; offsets are looked up in increasing order
+    let line = 1;
+    let lineStart = 0;
+    let scanned = 0;
+    const position = offset => {
+        for (; scanned < offset; scanned++) {
+            if (zpl[scanned] === '\n') {
+                line++;
+                lineStart = scanned + 1;
+            }
+        }
+        return { line, column: offset - lineStart + 1 };
+    };
+
+    const clean = text => {
+        const params = text.replace(/[\r\n]/g, '').trim();
+        return delimiter === ',' ? params : params.split(delimiter).join(',');
+    };
+
+    let i = 0;
+    while (i < zpl.length) {
+        const char = zpl[i];
+        if (char !== caret && char !== tilde) {
+            i++;
+            continue;
+        }
+
+        const prefix = char === caret ? '^' : '~';
+        const table = prefix === '^' ? FORMAT_COMMANDS : CONTROL_COMMANDS;
+        const name = zpl.substr(i + 1, 2).toUpperCase();
+        let command;
+        if (table.has(name)) {
+            command = name;
+        } else if (table.has(name[0])) {
+            command = name[0];
+        } else {
+            // Unknown command: one or two letters or digits
+            command = (name.match(/^[A-Z0-9][A-Z0-9]?/) || [''])[0];
+        }
+        if (!command) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let params;
+        i += 1 + command.length;
+
+        if (PREFIX_COMMANDS.has(command)) {
+            // The next character (line breaks aside) is the new prefix or delimiter
+            while (zpl[i] === '\r' || zpl[i] === '\n') i++;
+            params = zpl[i] || '';
+            if (params) i++;
+            if (command === 'CC') caret = params || caret;
+            if (command === 'CT') tilde = params || tilde;
+            if (command === 'CD') delimiter = params || delimiter;
+        } else {
+            const binary = BINARY_DATA[command] &&
+                binaryData(zpl, i, BINARY_DATA[command], delimiter, [caret, tilde]);
+            if (binary) {
+                params = clean(zpl.slice(i, binary.dataStart)) + zpl.slice(binary.dataStart, binary.dataEnd);
+                i = binary.dataEnd;
+            } else {
+                const fieldData = prefix === '^' && FIELD_DATA_COMMANDS.has(command);
+                let end = i;
+                while (end < zpl.length && zpl[end] !== caret && (fieldData || zpl[end] !== tilde)) {
+                    end++;
+                }
+                const text = zpl.slice(i, end);
+                params = fieldData ? text.replace(/[\r\n]/g, '') : clean(text);
+                i = end;
+            }
+        }
+
+        commands.push({ command, params, prefix, ...position(start), offset: start, length: i - start });
+    }
+
+    return commands;
+}
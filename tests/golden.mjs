@@ -0,0 +1,325 @@
+/**
+ * Golden image tests for the ZPL renderer
+ *
+ * Renders every sample in tests/golden/*.zpl with the raster backend, which
+ * needs no browser and draws the same dots everywhere, turns the label into
+ * a print bitmap with toMonochromeBitmap as the app does, and compares the
+ * result with the checked-in golden image next to it (same name, .pbm).
+ * Labels are as large as the sample's ^PW and ^LL say. A render whose print
+ * bitmap differs from the raster's own toBitmap fails as well.
+ *
+ * Only the raster backend is tested. The app draws on a canvas (its fonts
+ * and antialiasing need a browser); of that path, toMonochromeBitmap is
+ * tested on every render, and its thresholding and dithering of gray and
+ * color on the generated images of IMAGE_SAMPLES (monochrome-*.pbm).
+ *
+ * On a mismatch the rendered label is written to tests/golden/out/<name>.pbm
+ * and a diff image to tests/golden/out/<name>.diff.png: dots missing from the
+ * render are red, extra dots are blue, matching black dots are grey.
+ *
+ * Usage (from the repository root, see also the README):
+ *   node tests/golden.mjs               Run every sample
+ *   node tests/golden.mjs gb gf-z64     Run the named samples
+ *   node tests/golden.mjs --update      Write the golden images from the current renderer
+ */
+
+import { readFileSync, writeFileSync, readdirSync, mkdirSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { join, dirname } from 'node:path';
+import { deflateSync, crc32 } from 'node:zlib';
+import { ZPLRenderer } from '../js/zpl-renderer.js';
+import { tokenizeZPL } from '../js/zpl-tokenizer.js';
+import { toMonochromeBitmap } from '../js/utils.js';
+
+const GOLDEN_DIR = join(dirname(fileURLToPath(import.meta.url)), 'golden');
+const OUT_DIR = join(GOLDEN_DIR, 'out');
+
+// Label size of samples without ^PW/^LL: 50 x 30 mm at 203 dpi
+const DEFAULT_WIDTH = 400;
+const DEFAULT_HEIGHT = 240;
+
+/**
+ * Draw the test image of the toMonochromeBitmap samples, as canvas image data
+ * Rows 0-31 are a gray ramp from black (left) to white (right). Rows 32-63
+ * are bands of pure red, green, blue and a 50% gray, which show the
+ * luminance weights (red and blue are dark, green is light).
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+ */
+function testImage() {
+    const width = 256;
+    const height = 64;
+    const bands = [[255, 0, 0], [0, 255, 0], [0, 0, 255], [128, 128, 128]];
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const rgb = y < 32 ? [x, x, x] : bands[Math.floor(x / (width / bands.length))];
+            data.set([...rgb, 255], (y * width + x) * 4);
+        }
+    }
+    return { data, width, height };
+}
+
+/**
+ * Convert the test image to a print bitmap
+ * @param {boolean} dither - Passed to toMonochromeBitmap
+ * @returns {{ data: Uint8Array, width: number, height: number }}
+ */
+function monochromeSample(dither) {
+    const image = testImage();
+    return { data: toMonochromeBitmap(image, dither), width: image.width, height: image.height };
+}
+
+// toMonochromeBitmap samples: thresholding and Floyd-Steinberg dithering
+const IMAGE_SAMPLES = {
+    'monochrome-threshold': () => monochromeSample(false),
+    'monochrome-dither': () => monochromeSample(true)
+};
+
+/**
+ * Get the label size a sample asks for with ^PW and ^LL
+ * @param {string} zpl
+ * @returns {{ width: number, height: number }}
+ */
+function sampleSize(zpl) {
+    let width = DEFAULT_WIDTH;
+    let height = DEFAULT_HEIGHT;
+    for (const { command, params, prefix } of tokenizeZPL(zpl)) {
+        const value = parseInt(params);
+        if (prefix !== '^' || !(value > 0)) continue;
+        if (command === 'PW') width = value;
+        if (command === 'LL') height = value;
+    }
+    return { width, height };
+}
+
+/**
+ * Get the dots of a raster label as canvas image data, black on white
+ * @param {import('../js/render-targets.js').RasterTarget} target
+ * @returns {{ data: Uint8ClampedArray, width: number, height: number }}
+ */
+function labelImage({ dots, width, height }) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    dots.forEach((dot, i) => data.set(dot ? [0, 0, 0, 255] : [255, 255, 255, 255], i * 4));
+    return { data, width, height };
+}
+
+/**
+ * Render a sample and convert it to a print bitmap
+ * @param {string} zpl
+ * @returns {{ bitmap: { data: Uint8Array, width: number, height: number }, errors: Array, converted: boolean }}
+ *   The print bitmap (1-bit rows, 0 = black), the render errors, and whether
+ *   the print bitmap has the same dots as the raster's toBitmap
+ */
+function renderSample(zpl) {
+    const { width, height } = sampleSize(zpl);
+    const { target, diagnostics } = new ZPLRenderer().render(zpl, width, height, { backend: 'raster' });
+    const raster = target.toBitmap().data;
+    const data = toMonochromeBitmap(labelImage(target), true);
+    return {
+        bitmap: { data, width, height },
+        errors: diagnostics.filter(diagnostic => diagnostic.severity === 'error'),
+        converted: data.every((byte, i) => byte === raster[i])
+    };
+}
+
+/**
+ * Encode a bitmap as a binary PBM (P4) image
+ * PBM rows are packed like the bitmap, but with 1 = black.
+ * @param {{ data: Uint8Array, width: number, height: number }} bitmap
+ * @returns {Buffer}
+ */
+function encodePBM({ data, width, height }) {
+    const header = Buffer.from(`P4\n${width} ${height}\n`, 'ascii');
+    return Buffer.concat([header, Buffer.from(data.map(byte => ~byte & 0xFF))]);
+}
+
+/**
+ * Decode a binary PBM (P4) image
+ * @param {Buffer} file
+ * @returns {{ data: Uint8Array, width: number, height: number }} 1-bit rows, 0 = black
+ */
+function decodePBM(file) {
+    // Magic number, width and height, separated by whitespace and comments
+    const fields = [];
+    let i = 0;
+    while (fields.length < 3) {
+        while (/\s/.test(String.fromCharCode(file[i]))) i++;
+        if (file[i] === 0x23) {
+            while (i < file.length && file[i] !== 0x0A) i++;
+            continue;
+        }
+        const start = i;
+        while (i < file.length && !/\s/.test(String.fromCharCode(file[i]))) i++;
+        fields.push(file.toString('ascii', start, i));
+    }
+    const [magic, width, height] = [fields[0], parseInt(fields[1]), parseInt(fields[2])];
+    if (magic !== 'P4' || !(width > 0) || !(height > 0)) {
+        throw new Error('Not a binary PBM image');
+    }
+
+    // A single whitespace character precedes the rows
+    const rows = file.subarray(i + 1, i + 1 + Math.ceil(width / 8) * height);
+    return { data: Uint8Array.from(rows, byte => ~byte & 0xFF), width, height };
+}
+
+/**
+ * Encode an RGB image as PNG
+ * @param {Uint8Array} rgb - Rows of red, green, blue bytes
+ * @param {number} width
+ * @param {number} height
+ * @returns {Buffer}
+ */
+function encodePNG(rgb, width, height) {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // Bit depth
+    header[9] = 2; // Truecolor
+
+    // Each row starts with filter type 0 (none)
+    const rows = Buffer.alloc((width * 3 + 1) * height);
+    for (let y = 0; y < height; y++) {
+        rows.set(rgb.subarray(y * width * 3, (y + 1) * width * 3), y * (width * 3 + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', header),
+        chunk('IDAT', deflateSync(rows)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Check whether the dot at x, y of a bitmap is black
+ * Dots outside the bitmap are white.
+ */
+function isBlack({ data, width, height }, x, y) {
+    if (x >= width || y >= height) return false;
+    const rowBytes = Math.ceil(width / 8);
+    return !((data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1);
+}
+
+/**
+ * Compare a render with its golden image
+ * @param {{ data: Uint8Array, width: number, height: number }} actual
+ * @param {{ data: Uint8Array, width: number, height: number }} expected
+ * @returns {{ missing: number, extra: number, image: Buffer }} Dots black only in
+ *   the golden image, dots black only in the render, and the diff image (PNG)
+ */
+function compareBitmaps(actual, expected) {
+    const width = Math.max(actual.width, expected.width);
+    const height = Math.max(actual.height, expected.height);
+    const rgb = new Uint8Array(width * height * 3).fill(0xFF);
+    let missing = 0;
+    let extra = 0;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const want = isBlack(expected, x, y);
+            const got = isBlack(actual, x, y);
+            let color = null;
+            if (want && got) {
+                color = [0xC0, 0xC0, 0xC0];
+            } else if (want) {
+                color = [0xE0, 0x00, 0x00];
+                missing++;
+            } else if (got) {
+                color = [0x00, 0x40, 0xE0];
+                extra++;
+            }
+            if (color) rgb.set(color, (y * width + x) * 3);
+        }
+    }
+
+    return { missing, extra, image: encodePNG(rgb, width, height) };
+}
+
+/**
+ * Run the samples
+ * @param {string[]} args - Command line arguments
+ * @returns {number} Exit code
+ */
+function main(args) {
+    const update = args.includes('--update');
+    const names = args.filter(arg => !arg.startsWith('--'));
+    const samples = readdirSync(GOLDEN_DIR)
+        .filter(file => file.endsWith('.zpl'))
+        .map(file => file.slice(0, -4))
+        .concat(Object.keys(IMAGE_SAMPLES))
+        .filter(name => names.length === 0 || names.includes(name))
+        .sort();
+
+    const unknown = names.filter(name => !samples.includes(name));
+    if (unknown.length > 0) {
+        console.error(`No such sample: ${unknown.join(', ')}`);
+        return 1;
+    }
+
+    let failed = 0;
+    for (const name of samples) {
+        const goldenPath = join(GOLDEN_DIR, `${name}.pbm`);
+        const { bitmap, errors, converted } = IMAGE_SAMPLES[name]
+            ? { bitmap: IMAGE_SAMPLES[name](), errors: [], converted: true }
+            : renderSample(readFileSync(join(GOLDEN_DIR, `${name}.zpl`), 'utf8'));
+
+        for (const { line, column, command, message } of errors) {
+            console.log(`  ${name}.zpl:${line}:${column} ${command} ${message}`);
+        }
+
+        if (update) {
+            writeFileSync(goldenPath, encodePBM(bitmap));
+            console.log(`updated ${name}`);
+            continue;
+        }
+
+        if (!existsSync(goldenPath)) {
+            console.log(`FAIL ${name}: no golden image (run with --update to create it)`);
+            failed++;
+            continue;
+        }
+
+        const golden = decodePBM(readFileSync(goldenPath));
+        const { missing, extra, image } = compareBitmaps(bitmap, golden);
+        const sizeChanged = bitmap.width !== golden.width || bitmap.height !== golden.height;
+        if (missing === 0 && extra === 0 && !sizeChanged && errors.length === 0 && converted) {
+            console.log(`ok   ${name}`);
+            continue;
+        }
+
+        failed++;
+        const problems = [];
+        if (sizeChanged) {
+            problems.push(`size ${bitmap.width} × ${bitmap.height}, golden ${golden.width} × ${golden.height}`);
+        }
+        if (missing > 0 || extra > 0) {
+            problems.push(`${missing} dots missing, ${extra} extra`);
+        }
+        if (errors.length > 0) {
+            problems.push(`${errors.length} render errors`);
+        }
+        if (!converted) {
+            problems.push('toMonochromeBitmap changed the dots of the render');
+        }
+        mkdirSync(OUT_DIR, { recursive: true });
+        writeFileSync(join(OUT_DIR, `${name}.pbm`), encodePBM(bitmap));
+        writeFileSync(join(OUT_DIR, `${name}.diff.png`), image);
+        console.log(`FAIL ${name}: ${problems.join(', ')} (see tests/golden/out/${name}.diff.png)`);
+    }
+
+    if (!update) {
+        console.log(`\n${samples.length - failed} passed, ${failed} failed`);
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));